@@ -0,0 +1,32 @@
+({
+    // Turns the navigation guard on while the editor holds unsaved edits
+    handleUnsavedChange: function (component, event) {
+        var unsavedChanges = component.find("unsavedChanges");
+        if (event.getParam("hasUnsavedChanges")) {
+            unsavedChanges.setUnsavedChanges(true, { label: "Mass Update" });
+        } else {
+            unsavedChanges.setUnsavedChanges(false);
+        }
+    },
+
+    // Saves before leaving; navigation only continues once every changed record is saved
+    handleSave: function (component) {
+        var unsavedChanges = component.find("unsavedChanges");
+        component
+            .find("editor")
+            .saveChanges()
+            .then(
+                $A.getCallback(function (saved) {
+                    if (saved) {
+                        unsavedChanges.setUnsavedChanges(false);
+                    }
+                })
+            );
+    },
+
+    // Leaves without saving
+    handleDiscard: function (component) {
+        component.find("editor").discardChanges();
+        component.find("unsavedChanges").setUnsavedChanges(false);
+    }
+});
@@ -0,0 +1,202 @@
+import { createElement } from "lwc";
+import ClientSideLazyLoadingWithHtmlTableWithScrollBar from "c/clientSideLazyLoadingWithHtmlTableWithScrollBar";
+import { CurrentPageReference } from "lightning/navigation";
+import getAllContacts from "@salesforce/apex/LazyLoadingContactController.getAllContacts";
+
+jest.mock(
+  "@salesforce/apex/LazyLoadingContactController.getAllContacts",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+
+const PAGE_REFERENCE = {
+  type: "standard__navItemPage",
+  attributes: { apiName: "Contacts" },
+  state: {}
+};
+
+// builds the given number of contacts in server order
+function buildContacts(count) {
+  return Array.from({ length: count }, (item, index) => ({
+    Id: `003${String(index).padStart(15, "0")}`,
+    FirstName: "Pat",
+    LastName: `Contact ${index}`
+  }));
+}
+
+// lets pending promises and the re-render they cause settle
+function flushPromises() {
+  // eslint-disable-next-line @lwc/lwc/no-async-operation
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// lets every page that is revealed without user interaction arrive
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await flushPromises();
+  }
+}
+
+// creates the table with the given public properties and reveals its first rows
+async function createTable(properties, pageRef = PAGE_REFERENCE) {
+  const element = createElement(
+    "c-client-side-lazy-loading-with-html-table-with-scroll-bar",
+    { is: ClientSideLazyLoadingWithHtmlTableWithScrollBar }
+  );
+  Object.assign(element, properties);
+  document.body.appendChild(element);
+  CurrentPageReference.emit(pageRef);
+  await settle();
+  return element;
+}
+
+function getLastNames(element) {
+  return [...element.shadowRoot.querySelectorAll("tr.contact-row")].map(
+    (row) => row.querySelectorAll("td")[2].textContent
+  );
+}
+
+function clickSortButton(element, fieldName, shiftKey = false) {
+  element.shadowRoot
+    .querySelector(`.sort-button[data-field-name="${fieldName}"]`)
+    .dispatchEvent(new MouseEvent("click", { shiftKey }));
+}
+
+function typeFilter(element, filterTerm) {
+  const filterInput = element.shadowRoot.querySelectorAll("lightning-input")[1];
+  filterInput.value = filterTerm;
+  filterInput.dispatchEvent(new CustomEvent("change"));
+}
+
+function getLoadedCountLabel(element) {
+  return element.shadowRoot.querySelector("lightning-badge").label;
+}
+
+describe("c-client-side-lazy-loading-with-html-table-with-scroll-bar", () => {
+  let scrollHeight;
+
+  beforeEach(() => {
+    // jsdom does no layout, so rows report a height and the container the given scroll height
+    jest
+      .spyOn(Element.prototype, "getBoundingClientRect")
+      .mockReturnValue({ top: 0, bottom: 30, height: 30 });
+    scrollHeight = 0;
+    jest
+      .spyOn(Element.prototype, "scrollHeight", "get")
+      .mockImplementation(() => scrollHeight);
+    jest.spyOn(Element.prototype, "clientHeight", "get").mockReturnValue(150);
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.restoreAllMocks();
+    getAllContacts.mockReset();
+    sessionStorage.clear();
+  });
+
+  it("keeps revealing rows while they do not fill the container", async () => {
+    getAllContacts.mockResolvedValue(buildContacts(12));
+
+    const element = await createTable({ pageSize: 5, visibleRows: 10 });
+
+    expect(getAllContacts).toHaveBeenCalledTimes(1);
+    expect(getLoadedCountLabel(element)).toBe("12 of 12");
+  });
+
+  it("stops revealing rows once they overflow the container", async () => {
+    scrollHeight = 600;
+    getAllContacts.mockResolvedValue(buildContacts(12));
+
+    const element = await createTable({ pageSize: 5, visibleRows: 3 });
+
+    expect(getLoadedCountLabel(element)).toBe("5 of 12");
+  });
+
+  it("sorts the fetched contacts by the clicked column and reverses it on the next click", async () => {
+    scrollHeight = 600;
+    getAllContacts.mockResolvedValue(buildContacts(12));
+    const element = await createTable({ pageSize: 5, visibleRows: 3 });
+
+    clickSortButton(element, "LastName");
+    await settle();
+    expect(getLastNames(element)[0]).toBe("Contact 0");
+
+    clickSortButton(element, "LastName");
+    await settle();
+    expect(getLastNames(element).slice(0, 3)).toEqual([
+      "Contact 11",
+      "Contact 10",
+      "Contact 9"
+    ]);
+    expect(getAllContacts).toHaveBeenCalledTimes(1);
+  });
+
+  it("adds a further sort key on shift-click", async () => {
+    scrollHeight = 600;
+    getAllContacts.mockResolvedValue([
+      { Id: "003000000000000001", FirstName: "Pat", LastName: "Lee" },
+      { Id: "003000000000000002", FirstName: "Ann", LastName: "Roe" },
+      { Id: "003000000000000003", FirstName: "Pat", LastName: "Kim" }
+    ]);
+    const element = await createTable({ pageSize: 5, visibleRows: 3 });
+
+    // the second click comes before the rows of the first one are shown
+    clickSortButton(element, "FirstName");
+    clickSortButton(element, "LastName", true);
+    await settle();
+
+    expect(getLastNames(element)).toEqual(["Roe", "Kim", "Lee"]);
+    const indicators = [
+      ...element.shadowRoot.querySelectorAll(".sort-indicator")
+    ].map((indicator) => indicator.textContent);
+    expect(indicators).toEqual(["▲1", "▲2", ""]);
+  });
+
+  it("filters the fetched contacts without another server call", async () => {
+    scrollHeight = 600;
+    getAllContacts.mockResolvedValue(buildContacts(12));
+    const element = await createTable({ pageSize: 5, visibleRows: 3 });
+
+    typeFilter(element, "Contact 1");
+    await settle();
+
+    expect(getLastNames(element)).toEqual([
+      "Contact 1",
+      "Contact 10",
+      "Contact 11"
+    ]);
+    expect(getLoadedCountLabel(element)).toBe("3 of 3");
+    expect(getAllContacts).toHaveBeenCalledTimes(1);
+  });
+
+  it("opens with the quick filter and sort of a shared link", async () => {
+    scrollHeight = 600;
+    getAllContacts.mockResolvedValue(buildContacts(12));
+
+    const element = await createTable(
+      { pageSize: 5, visibleRows: 3 },
+      {
+        ...PAGE_REFERENCE,
+        state: {
+          c__clientSideLazyLoadingWithHtmlTableWithScrollBar_filter:
+            "contact 1",
+          // keys on unknown columns are left out
+          c__clientSideLazyLoadingWithHtmlTableWithScrollBar_sort:
+            "Phone asc,LastName desc"
+        }
+      }
+    );
+
+    expect(getLastNames(element)).toEqual([
+      "Contact 11",
+      "Contact 10",
+      "Contact 1"
+    ]);
+    expect(element.shadowRoot.querySelectorAll("lightning-input")[1].value).toBe(
+      "contact 1"
+    );
+  });
+});
@@ -1,88 +1,474 @@
-/* eslint-disable @lwc/lwc/no-async-operation */
-import { LightningElement, api } from "lwc";
+import { LightningElement, api, wire } from "lwc";
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 import getAllContacts from "@salesforce/apex/LazyLoadingContactController.getAllContacts";
+import LazyLoader, {
+  debounce,
+  sizeToVisibleRows,
+  RowSizeObserver,
+  PageState
+} from "c/lazyLoader";
 
-export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends LightningElement {
+// milliseconds to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+// distance in pixels from the bottom of the container at which the next page is revealed
+const LOAD_MORE_BUFFER = 10;
+// number of extra rows rendered above and below the viewport
+const OVERSCAN_ROWS = 5;
+// columns of the table in header order; every one can be sorted by and is written to the CSV export
+const COLUMNS = [
+  { label: "First Name", fieldName: "FirstName" },
+  { label: "Last Name", fieldName: "LastName" },
+  { label: "Email", fieldName: "Email" }
+];
+// fields the quick filter looks in
+const FILTER_FIELDS = ["FirstName", "LastName", "Email"];
+// compares names the way the user's locale orders them, ignoring case and accents
+const collator = new Intl.Collator(undefined, {
+  sensitivity: "base",
+  numeric: true
+});
+
+/**
+ * @description - compareContacts function orders two contacts by the sort keys in turn,
+ * the next key only breaking ties of the one before. Empty values go last in either direction.
+ * @param {Object} a - First contact
+ * @param {Object} b - Second contact
+ * @param {Array} sortKeys - { fieldName, direction } pairs, the primary key first
+ * @return {number} - Negative if a comes first, positive if b comes first, 0 if they tie
+ */
+function compareContacts(a, b, sortKeys) {
+  for (const { fieldName, direction } of sortKeys) {
+    const valueA = a[fieldName] || "";
+    const valueB = b[fieldName] || "";
+    if (valueA !== valueB) {
+      if (!valueA || !valueB) {
+        return valueA ? -1 : 1;
+      }
+      const order = collator.compare(valueA, valueB);
+      if (order) {
+        return direction === "desc" ? -order : order;
+      }
+    }
+  }
+  return 0;
+}
+
+/**
+ * @description - matchesFilter function checks if any of the filtered fields of a contact contains the term.
+ * @param {Object} contact - Contact to check
+ * @param {string} term - Lower-case term to look for
+ * @return {boolean} - True if the contact matches, or if there is no term
+ */
+function matchesFilter(contact, term) {
+  return (
+    !term ||
+    FILTER_FIELDS.some((fieldName) =>
+      (contact[fieldName] || "").toLocaleLowerCase().includes(term)
+    )
+  );
+}
+
+/**
+ * @description - toSortText function writes the sort keys as text for the page state and the cache key,
+ * for example "LastName asc,FirstName desc".
+ * @param {Array} sortKeys - { fieldName, direction } pairs, the primary key first
+ * @return {string} - The sort keys as text, empty when the table keeps the server order
+ */
+function toSortText(sortKeys) {
+  return sortKeys
+    .map(({ fieldName, direction }) => `${fieldName} ${direction}`)
+    .join(",");
+}
+
+/**
+ * @description - parseSortText function reads the sort keys back from text written by toSortText.
+ * Keys on unknown columns, repeated columns or unknown directions are left out, as the text may come from a link.
+ * @param {string} sortText - Sort keys as text
+ * @return {Array} - { fieldName, direction } pairs, the primary key first
+ */
+function parseSortText(sortText) {
+  const sortKeys = [];
+  (sortText || "").split(",").forEach((part) => {
+    const [fieldName, direction] = part.trim().split(" ");
+    if (
+      COLUMNS.some((column) => column.fieldName === fieldName) &&
+      (direction === "asc" || direction === "desc") &&
+      !sortKeys.some((key) => key.fieldName === fieldName)
+    ) {
+      sortKeys.push({ fieldName, direction });
+    }
+  });
+  return sortKeys;
+}
+
+export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends NavigationMixin(
+  LightningElement
+) {
   // property to store all contacts fetched from the server
   allContacts = [];
+  // contacts that pass the quick filter, in sort order; the rows are revealed from it
+  filteredContacts = [];
   // property to store currently visible contacts in the table
   visibleContacts = [];
+  // columns written to the CSV export
+  exportColumns = COLUMNS;
   // public property to define the number of records per page
   @api pageSize = 5;
-  // offset for pagination, keeps track of the starting point for the next batch of records
-  offset = 0;
+  // public property to define the number of rows the scroll bar shows at once
+  @api visibleRows = 5;
+  // public property to define how far the user scrolls, in percent, before the next page is prefetched
+  @api prefetchThreshold = 50;
+  // demo setting: milliseconds of simulated latency added before every page; off unless set
+  @api simulatedDelay = 0;
+  // term the contact names are filtered by
+  searchTerm = "";
+  // term the fetched contacts are filtered by in the browser, across every column
+  filterTerm = "";
+  // { fieldName, direction } pairs the table is sorted by, the primary key first; empty keeps the server order
+  sortKeys = [];
+  // boolean flag to check if all contacts have been fetched from the server
+  allContactsFetched = false;
+  // number of records loaded, out of the total when it is known
+  loadedCountLabel = "0";
+  // share of the matching records that is loaded, in percent
+  loadedPercent = 0;
+  // message of the last failed load, shown with a Retry action
+  errorMessage;
+  // shared loader that owns offset, end-of-data detection and serial numbering
+  loader;
   // boolean flag to track if data is being fetched
   isLoading = false;
+  // measured height of a contact row in px, 0 until the first row has rendered
+  rowHeight = 0;
+  // index of the first visible contact rendered in the DOM
+  windowStart = 0;
+  // index after the last visible contact rendered in the DOM
+  windowEnd = 0;
+  // re-measures the rows whenever the table changes size
+  rowSizeObserver = new RowSizeObserver(() => {
+    this.setScrollableHeight();
+    this.loadMoreIfNearBottom();
+  });
+  // last scroll position of the container, cached with the revealed pages
+  scrollTop = 0;
+  // scroll position to restore once the cached pages have rendered
+  pendingScrollTop;
+  // keeps the view in step with the page state and caches the loaded pages
+  pageState;
 
   /**
    * @description - connectedCallback lifecycle hook invoked when the component is inserted into the DOM.
-   * Calls the method to load the initial data.
+   * Creates the loader; loading starts once the page state has been read.
    */
   connectedCallback() {
-    // Load all contacts when the component is initialized
-    this.loadAllContacts();
+    // Create the loader that reveals contacts page by page from memory
+    this.loader = new LazyLoader({
+      fetchPage: (params) => this.fetchContactsSlice(params),
+      pageSize: this.pageSize,
+      delay: this.simulatedDelay,
+      onChange: (loader) => this.handleLoaderChange(loader),
+      // the revealed rows depend on the quick filter and sort as well as on the search
+      cacheKey: () =>
+        `clientSideLazyLoadingWithHtmlTableWithScrollBar:${this.searchTerm}:${
+          this.filterTerm
+        }:${toSortText(this.sortKeys)}`
+    });
+    this.pageState = new PageState({
+      prefix: "clientSideLazyLoadingWithHtmlTableWithScrollBar",
+      loader: this.loader,
+      defaults: { searchTerm: "", filterTerm: "", sortKeys: "" },
+      getView: () => ({
+        searchTerm: this.searchTerm,
+        filterTerm: this.filterTerm,
+        sortKeys: toSortText(this.sortKeys)
+      }),
+      applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+      load: (limitSize) => this.loadAllContacts(limitSize),
+      navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true),
+      onRestore: (scrollTop) => {
+        this.pendingScrollTop = scrollTop;
+      }
+    });
+    // Search once the user stops typing
+    this.debouncedSearch = debounce(
+      (searchTerm) => this.applySearch(searchTerm),
+      SEARCH_DELAY
+    );
+  }
+
+  /**
+   * @description - wiredPageReference method hands the page state to the page state helper, which opens the table
+   * in the view it describes, so a shared link shows the same search, filter, sort, page size and number of
+   * revealed contacts.
+   * @param {Object} pageRef - The current page reference
+   */
+  @wire(CurrentPageReference)
+  wiredPageReference(pageRef) {
+    this.pageState.handlePageReference(pageRef);
+  }
+
+  /**
+   * @description - applyView method shows the search, quick filter and sort read from the page state.
+   * @param {Object} view - { searchTerm, filterTerm, sortKeys } read from the page state
+   * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+   * @return {void} - This method does not return any value.
+   */
+  applyView({ searchTerm, filterTerm, sortKeys }, isFirstView) {
+    this.filterTerm = filterTerm;
+    this.sortKeys = parseSortText(sortKeys);
+    if (isFirstView) {
+      this.searchTerm = searchTerm;
+    } else if (searchTerm !== this.searchTerm) {
+      // the new results are filtered and sorted when they arrive
+      this.applySearch(searchTerm);
+    } else {
+      this.revealAgain();
+    }
   }
 
   /**
    * @description - renderedCallback lifecycle hook invoked after the component has been rendered.
-   * Calls the method to set the scrollable height.
+   * Watches the table so the scrollable height follows its rows, and keeps revealing rows while they
+   * do not fill the container.
    */
   renderedCallback() {
+    this.rowSizeObserver.observe(
+      this.template.querySelector(".scrollable table")
+    );
     // set the scrollable height after the component is rendered
     this.setScrollableHeight();
+    // Scroll the restored rows back into view once a row has been measured
+    const scrollableContainer = this.template.querySelector(".scrollable");
+    if (
+      scrollableContainer &&
+      this.pendingScrollTop !== undefined &&
+      this.rowHeight
+    ) {
+      scrollableContainer.scrollTop = this.pendingScrollTop;
+      // The bottom spacer may not have its measured height yet; try again on the next render
+      if (
+        Math.abs(scrollableContainer.scrollTop - this.pendingScrollTop) < 1 ||
+        !this.hasBottomSpacer
+      ) {
+        this.pendingScrollTop = undefined;
+      }
+    }
+    // rows that do not fill the container leave nothing to scroll, so the next page is revealed right away
+    this.loadMoreIfNearBottom();
   }
 
   /**
-   * @description - loadAllContacts method fetches all contact data from the server.
-   * It processes the contacts to add a serial number and sets the initial visible contacts.
-   * Handles loading state and errors.
-   * @param {NA} - No parameters are accepted by this method.
+   * @description - disconnectedCallback lifecycle hook invoked when the component is removed from the DOM.
+   * Stops watching the table and caches the revealed pages for when the user comes back.
+   */
+  disconnectedCallback() {
+    this.rowSizeObserver.disconnect();
+    this.pageState.disconnect(this.scrollTop);
+  }
+
+  /**
+   * @description - loadAllContacts method loads the first page of contacts through the shared loader.
+   * The first page triggers the single server call that fetches every contact.
+   * @param {number} limitSize - Number of contacts to reveal, one page unless given
    * @return {void} - This method does not return any value.
    */
-  async loadAllContacts() {
-    // Mark the start of data loading
-    this.isLoading = true;
+  async loadAllContacts(limitSize) {
+    await this.loader.loadMore(limitSize);
+    // Set the scrollable height based on the number of records
+    this.setScrollableHeight();
+  }
 
-    try {
-      // Simulate a delay for loading to mimic real-time API behavior
-      await this.loadingDelay();
+  /**
+   * @description - fetchContactsSlice method is the page source of the loader.
+   * It fetches all contacts from the server on the first call and then serves slices from memory.
+   * @param {Object} params - Paging parameters from the loader
+   * @param {number} params.limitSize - Number of contacts to return
+   * @param {number} params.offset - Index of the first contact to return
+   * @return {Promise} - Resolves to { records, hasMore, totalCount } for the requested slice
+   */
+  async fetchContactsSlice({ limitSize, offset }) {
+    // Fetch all contacts once, the first time a page is requested
+    if (!this.allContactsFetched) {
+      const searchTerm = this.searchTerm;
+      const contacts = await getAllContacts({ searchTerm });
+      // A newer search may have started meanwhile; the loader discards this page, so keep the cache untouched
+      if (searchTerm !== this.searchTerm) {
+        return { records: [] };
+      }
+      this.allContacts = contacts;
+      this.allContactsFetched = true;
+      this.deriveContacts();
+    }
+    return {
+      records: this.filteredContacts.slice(offset, offset + limitSize),
+      hasMore: offset + limitSize < this.filteredContacts.length,
+      totalCount: this.filteredContacts.length
+    };
+  }
 
-      // Call the Apex method to fetch all contacts
-      const result = await getAllContacts();
-      if (result.length > 0) {
-        // If no contacts are returned, exit the method
-        this.allContacts = result.map((contact, idx) => ({
-          ...contact,
-          serialNumber: idx + 1
-        }));
+  /**
+   * @description - handleSearchChange method passes the typed term to the debounced search.
+   * @param {event} event - The change event from the search input.
+   * @return {void} - This method does not return any value.
+   */
+  handleSearchChange(event) {
+    this.debouncedSearch(event.target.value);
+  }
+
+  /**
+   * @description - applySearch method fetches the contacts matching the new term from the server.
+   * Clears the visible rows so the reveal restarts from the first page of the results.
+   * @param {string} searchTerm - Term the contact names must contain.
+   * @return {void} - This method does not return any value.
+   */
+  applySearch(searchTerm) {
+    // Nothing to do when the term has not changed
+    if (searchTerm === this.searchTerm) return;
+    this.searchTerm = searchTerm;
+    // Drop the previous results so the next page fetches the new ones
+    this.allContacts = [];
+    this.filteredContacts = [];
+    this.allContactsFetched = false;
+    this.loader.reset();
+    this.loadAllContacts();
+  }
 
-        // SET the initial visible contacts based on the page size
-        this.visibleContacts = this.allContacts.slice(0, this.pageSize);
+  /**
+   * @description - handleFilterChange method filters the fetched contacts by the typed term, without a server call.
+   * @param {event} event - The change event from the quick filter input.
+   * @return {void} - This method does not return any value.
+   */
+  handleFilterChange(event) {
+    const filterTerm = event.target.value || "";
+    if (filterTerm === this.filterTerm) return;
+    this.filterTerm = filterTerm;
+    this.revealAgain();
+  }
 
-        // Set the offset to the page size to prepare for loading more data
-        this.offset = this.pageSize;
+  /**
+   * @description - handleSortClick method sorts the table by the clicked column.
+   * A plain click sorts by that column alone, ascending first and reversed on the next click;
+   * a shift-click adds the column as a further sort key, or reverses it when it already is one.
+   * @param {event} event - The click event from the column header button.
+   * @return {void} - This method does not return any value.
+   */
+  handleSortClick(event) {
+    const { fieldName } = event.currentTarget.dataset;
+    const current = this.sortKeys.find((key) => key.fieldName === fieldName);
+    const direction = current?.direction === "asc" ? "desc" : "asc";
+    if (event.shiftKey) {
+      // keep the other keys in place and add or reverse this one
+      this.sortKeys = current
+        ? this.sortKeys.map((key) =>
+            (key === current ? { fieldName, direction } : key)
+          )
+        : [...this.sortKeys, { fieldName, direction: "asc" }];
+    } else {
+      // only the primary key is reversed by a plain click
+      const isPrimary = this.sortKeys[0]?.fieldName === fieldName;
+      this.sortKeys = [
+        { fieldName, direction: isPrimary ? direction : "asc" }
+      ];
+    }
+    this.revealAgain();
+  }
 
-        // Set the scrollable height based on the number of records
-        this.setScrollableHeight();
-      }
-    } catch (error) {
-      // Log the error to the console if there is an issue loading contacts
-      console.error("Error loading contacts:", error);
-    } finally {
-      // Ensure the loading state is reset after attempting to load contacts
-      this.isLoading = false;
+  /**
+   * @description - deriveContacts method filters and sorts the fetched contacts into the list the rows are revealed from.
+   * @param {NA} - No parameters are accepted by this method.
+   * @return {void} - This method does not return any value.
+   */
+  deriveContacts() {
+    const term = this.filterTerm.trim().toLocaleLowerCase();
+    const contacts = this.allContacts.filter((contact) =>
+      matchesFilter(contact, term)
+    );
+    // the sort is stable, so contacts that tie on every key keep the server order
+    if (this.sortKeys.length) {
+      contacts.sort((a, b) => compareContacts(a, b, this.sortKeys));
     }
+    this.filteredContacts = contacts;
   }
 
   /**
-   * loadingDelay method simulates a delay for data fetching.
+   * @description - revealAgain method re-derives the rows after the filter or sort changed.
+   * As many rows as were revealed are shown again from the top, renumbered, without another server call.
    * @param {NA} - No parameters are accepted by this method.
-   * @return {Promise} - Resolves after 1 second
+   * @return {void} - This method does not return any value.
+   */
+  revealAgain() {
+    // the contacts still being fetched are filtered and sorted when they arrive
+    if (!this.allContactsFetched) return;
+    this.deriveContacts();
+    const revealedCount = this.loader.records.length;
+    if (revealedCount && !this.loader.isLoading) {
+      // replace the revealed rows in place, so the scroll position is kept
+      this.loader.refresh();
+    } else {
+      this.loader.reset();
+      this.loadAllContacts(Math.max(this.loader.pageSize, revealedCount));
+    }
+  }
+
+  /**
+   * sortColumns getter describes the sortable column headers with their current sort state.
+   * @return {Array} - { fieldName, label, ariaSort, sortIndicator } for every sortable column
+   */
+  get sortColumns() {
+    const isMultiKey = this.sortKeys.length > 1;
+    return COLUMNS.map(({ fieldName, label }) => {
+      const index = this.sortKeys.findIndex(
+        (key) => key.fieldName === fieldName
+      );
+      if (index < 0) {
+        return { fieldName, label, ariaSort: "none", sortIndicator: "" };
+      }
+      const { direction } = this.sortKeys[index];
+      const arrow = direction === "asc" ? "▲" : "▼";
+      return {
+        fieldName,
+        label,
+        ariaSort: direction === "asc" ? "ascending" : "descending",
+        // number the keys once there is more than one, so their order shows
+        sortIndicator: isMultiKey ? `${arrow}${index + 1}` : arrow
+      };
+    });
+  }
+
+  /**
+   * noFilterMatches getter checks if the quick filter hides every fetched contact.
+   * @return {boolean} - True if contacts were fetched but none matches the filter
    */
-  loadingDelay() {
-    // Simulate a network delay of 1 second
-    // eslint-disable-next-line @lwc/lwc/no-async-operation
-    return new Promise((resolve) => setTimeout(resolve, 1000));
+  get noFilterMatches() {
+    return (
+      this.allContactsFetched &&
+      this.allContacts.length > 0 &&
+      this.filteredContacts.length === 0
+    );
+  }
+
+  /**
+   * @description - handleRetry method loads the page that failed again, from where loading stopped.
+   * @param {NA} - No parameters are accepted by this method.
+   * @return {void} - This method does not return any value.
+   */
+  handleRetry() {
+    this.loader.retry();
+  }
+
+  /**
+   * @description - handleLoaderChange method mirrors the loader state into the reactive fields.
+   * @param {LazyLoader} loader - The loader whose state changed
+   * @return {void} - This method does not return any value.
+   */
+  handleLoaderChange(loader) {
+    this.visibleContacts = loader.records;
+    this.isLoading = loader.isLoading;
+    this.loadedCountLabel = loader.loadedCountLabel;
+    this.loadedPercent = loader.loadedPercent;
+    this.errorMessage = loader.errorMessage;
+    // keep the URL in step once the rows have settled
+    this.pageState.update();
   }
 
   /**
@@ -92,8 +478,6 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
    * @return {void} - This method does not return any value.
    */
   handleScroll() {
-    // declare a buffer to trigger loading more data before reaching the bottom
-    const buffer = 10;
     // declare a scrollable container
     const scrollableContainer = this.template.querySelector(".scrollable");
 
@@ -105,15 +489,25 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
     // scrollHeight is the total height of the content in the element, including content not visible
     // clientHeight is the height of the visible content in the element
     const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+    // Remember the position so it can be restored with the cached pages
+    this.scrollTop = scrollTop;
+    // Once the user scrolls, a position still waiting to be restored no longer applies
+    this.pendingScrollTop = undefined;
 
     // Check if the user has scrolled near the bottom of the container
     if (
-      scrollHeight - scrollTop - clientHeight < buffer &&
+      scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER &&
       !this.isLoading &&
       !this.allLoaded
     ) {
       // If the user has scrolled near the bottom, load more data
       this.loadMoreData();
+    } else if (
+      ((scrollTop + clientHeight) / scrollHeight) * 100 >=
+      this.prefetchThreshold
+    ) {
+      // Past the threshold, prepare the next page so it shows at once when the bottom is reached
+      this.loader.prefetch();
     }
 
     // Show or hide the "Back to Top" button based on the scroll position
@@ -121,31 +515,111 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
 
     // If the scrollTop is greater than 20 pixels, show the button; otherwise, hide it
     backToTopButton.style.display = scrollTop > 20 ? "block" : "none";
+
+    // Render the rows that are now in and near the viewport
+    this.updateWindow(scrollTop, clientHeight);
   }
 
   /**
-   * @description - loadMoreData method loads the next set of contact records.
-   * It checks if there are more records to load and updates the visible contacts.
-   * If the offset is greater than or equal to the total number of contacts, it exits the method.
+   * @description - updateWindow method picks the range of visible contacts rendered in the DOM.
+   * Only the rows in and near the viewport are rendered; spacer rows stand in for the rest.
+   * @param {number} scrollTop - Current scroll position of the container in px
+   * @param {number} clientHeight - Height of the visible part of the container in px
+   * @return {void} - This method does not return any value.
+   */
+  updateWindow(scrollTop, clientHeight) {
+    // Until a row has been measured, render the first page and its overscan
+    const firstRow = this.rowHeight ? Math.floor(scrollTop / this.rowHeight) : 0;
+    const rowCount = this.rowHeight
+      ? Math.ceil(clientHeight / this.rowHeight)
+      : this.visibleRows;
+    const start = Math.max(0, firstRow - OVERSCAN_ROWS);
+    const end = Math.min(
+      this.visibleContacts.length,
+      firstRow + rowCount + OVERSCAN_ROWS
+    );
+
+    // Only assign when the range moves, so renderedCallback does not re-render endlessly
+    if (start !== this.windowStart || end !== this.windowEnd) {
+      this.windowStart = start;
+      this.windowEnd = end;
+    }
+  }
+
+  /**
+   * renderedContacts getter returns the visible contacts currently rendered in the DOM.
+   * @return {Array} - Slice of the visible contacts inside the render window
+   */
+  get renderedContacts() {
+    return this.visibleContacts.slice(this.windowStart, this.windowEnd);
+  }
+
+  /**
+   * topSpacerStyle getter sizes the spacer row that stands in for the rows above the window.
+   * @return {string} - Inline style with the spacer height
+   */
+  get topSpacerStyle() {
+    return `height: ${this.windowStart * this.rowHeight}px;`;
+  }
+
+  /**
+   * bottomSpacerStyle getter sizes the spacer row that stands in for the rows below the window.
+   * @return {string} - Inline style with the spacer height
+   */
+  get bottomSpacerStyle() {
+    const hiddenRows = this.visibleContacts.length - this.windowEnd;
+    return `height: ${hiddenRows * this.rowHeight}px;`;
+  }
+
+  /**
+   * hasTopSpacer getter checks if rows above the window are left out of the DOM.
+   * @return {boolean} - True if the top spacer row is needed
+   */
+  get hasTopSpacer() {
+    return this.windowStart > 0;
+  }
+
+  /**
+   * hasBottomSpacer getter checks if rows below the window are left out of the DOM.
+   * @return {boolean} - True if the bottom spacer row is needed
+   */
+  get hasBottomSpacer() {
+    return this.windowEnd < this.visibleContacts.length;
+  }
+
+  /**
+   * @description - loadMoreData method reveals the next set of contact records.
+   * The loader exits early once every contact is visible.
    * @param {NA} - No parameters are accepted by this method.
    * @return {void} - This method does not return any value.
    */
   async loadMoreData() {
-    // If the offset is greater than or equal to the total number of contacts, exit the method
-    if (this.offset >= this.allContacts.length) return;
-
-    // Set loading state to true, simulate a delay for loading more data
-    this.isLoading = true;
-    // Simulate a delay for loading to mimic real-time API behavior
-    await this.loadingDelay();
+    await this.loader.loadMore();
+  }
 
-    const nextContacts = this.allContacts.slice(
-      this.offset,
-      this.offset + this.pageSize
-    );
-    this.visibleContacts = [...this.visibleContacts, ...nextContacts];
-    this.offset += this.pageSize;
-    this.isLoading = false;
+  /**
+   * @description - loadMoreIfNearBottom method reveals the next page when the container is scrolled to within
+   * LOAD_MORE_BUFFER pixels of its bottom, which is also the case while the rows do not fill the container.
+   * Nothing is revealed before a row has been measured, as the container has no height until then,
+   * nor while a scroll position is waiting to be restored.
+   * @param {NA} - No parameters are accepted by this method.
+   * @return {void} - This method does not return any value.
+   */
+  loadMoreIfNearBottom() {
+    const scrollableContainer = this.template.querySelector(".scrollable");
+    if (
+      !scrollableContainer ||
+      !this.rowHeight ||
+      this.pendingScrollTop !== undefined ||
+      this.isLoading ||
+      !this.loader.hasMoreRecords
+    ) {
+      return;
+    }
+    const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+    if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER) {
+      this.loadMoreData();
+    }
   }
 
   /**
@@ -153,10 +627,10 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
    * @return {boolean} - True if all records are loaded, false otherwise.
    */
   get allLoaded() {
-    // Returns true if the number of visible contacts is greater than or equal to all contacts
+    // Returns true if every contact that passes the filter is visible
     return (
-      this.visibleContacts.length >= this.allContacts.length &&
-      this.allContacts.length > 0
+      this.visibleContacts.length >= this.filteredContacts.length &&
+      this.filteredContacts.length > 0
     );
   }
 
@@ -181,9 +655,8 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
   }
 
   /**
-   * setScrollableHeight method dynamically sets the height of the scrollable container.
-   * Ensures consistent visual appearance based on the number of records.
-   * Make sure set the row height in px according to your page size.
+   * setScrollableHeight method sets the height of the scrollable container to show visibleRows rows.
+   * The rows are measured as rendered, so the height follows fonts, density and wrapped text.
    * @param {NA} - No parameters are accepted by this method.
    * @return {void} - This method does not return any value.
    */
@@ -193,31 +666,22 @@ export default class ClientSideLazyLoadingWithHtmlTableWithScrollBar extends Lig
 
     // If the scrollable container is not found, exit the method
     if (scrollableContainer) {
-      // Find the first table row to measure its height
-      const firstRow = scrollableContainer.querySelector("tbody tr");
-
-      // If the first row is found, calculate the height of the scrollable container
-      if (firstRow) {
-        // Set the row height based on the page size
-        let rowHeight = 36;
-        // If the page size is less than 9, set a specific height
-        if (this.pageSize < 9) {
-          // Add a small offset to the row height for better spacing
-          rowHeight = firstRow.getBoundingClientRect().height + 4.8;
-        } else if (this.pageSize < 12) {
-          // If the page size is less than 12, set a different height
-          rowHeight = 31;
-        } else {
-          // For larger page sizes, set a standard height
-          rowHeight = 30;
-        }
-
-        // Calculate the total height of the scrollable container based on the page size and row height
-        const calculatedHeight = this.pageSize * rowHeight;
-
-        // Set the height of the scrollable container dynamically
-        scrollableContainer.style.height = `${calculatedHeight}px`;
+      const rowHeight = sizeToVisibleRows(
+        scrollableContainer,
+        scrollableContainer.querySelector("table"),
+        this.visibleRows,
+        "tbody tr.contact-row"
+      );
+      // Remember the real row height so the spacer rows match the rows they replace
+      if (rowHeight) {
+        this.rowHeight = rowHeight;
       }
+
+      // Keep the render window in step with the revealed rows and the container size
+      this.updateWindow(
+        scrollableContainer.scrollTop,
+        scrollableContainer.clientHeight
+      );
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { createElement } from "lwc";
+import HybridLazyLoadingInHtmlTableWithScrollBar from "c/hybridLazyLoadingInHtmlTableWithScrollBar";
+import { CurrentPageReference } from "lightning/navigation";
+import getContactCount from "@salesforce/apex/LazyLoadingContactController.getContactCount";
+import getContacts from "@salesforce/apex/LazyLoadingContactController.getContactsData";
+
+jest.mock("@salesforce/apex/LazyLoadingContactController.getContactCount", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+jest.mock("@salesforce/apex/LazyLoadingContactController.getContactsData", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+
+const PAGE_REFERENCE = { type: "standard__navItemPage", attributes: { apiName: "Contacts" }, state: {} };
+
+// Builds a page of contacts starting after the given offset
+function contactsPage(offset, limitSize, hasMore, totalCount) {
+    const records = Array.from({ length: limitSize }, (item, index) => ({
+        Id: `003${String(offset + index).padStart(15, "0")}`,
+        LastName: `Contact ${offset + index}`
+    }));
+    return { records, hasMore, totalCount };
+}
+
+// Lets pending promises and the re-render they cause settle
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Lets every page that loads without user interaction arrive
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await flushPromises();
+    }
+}
+
+// Creates the table with the given public properties and loads its first rows
+async function createTable(properties) {
+    const element = createElement("c-hybrid-lazy-loading-in-html-table-with-scroll-bar", {
+        is: HybridLazyLoadingInHtmlTableWithScrollBar
+    });
+    Object.assign(element, properties);
+    document.body.appendChild(element);
+    CurrentPageReference.emit(PAGE_REFERENCE);
+    await settle();
+    return element;
+}
+
+function getBadgeLabels(element) {
+    return [...element.shadowRoot.querySelectorAll("lightning-badge")].map((badge) => badge.label);
+}
+
+describe("c-hybrid-lazy-loading-in-html-table-with-scroll-bar", () => {
+    let scrollHeight;
+
+    beforeEach(() => {
+        // jsdom does no layout, so every row reports a height of 30px and the container the given scroll height
+        jest.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue({ top: 0, bottom: 30, height: 30 });
+        scrollHeight = 600;
+        jest.spyOn(Element.prototype, "scrollHeight", "get").mockImplementation(() => scrollHeight);
+        jest.spyOn(Element.prototype, "clientHeight", "get").mockReturnValue(150);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.restoreAllMocks();
+        getContactCount.mockReset();
+        getContacts.mockReset();
+        sessionStorage.clear();
+    });
+
+    it("fetches a search up to the threshold at once and pages it in the browser", async () => {
+        getContactCount.mockResolvedValue({ count: 8, maxClientRows: 1000 });
+        getContacts.mockResolvedValue(contactsPage(0, 8, false, 8));
+
+        const element = await createTable({ pageSize: 5, clientSideThreshold: 10 });
+
+        expect(getContacts).toHaveBeenCalledTimes(1);
+        expect(getContacts).toHaveBeenCalledWith({
+            limitSize: 8,
+            offset: 0,
+            pageCursor: null,
+            searchTerm: "",
+            knownTotalCount: 8
+        });
+        expect(element.shadowRoot.querySelectorAll("tbody tr")).toHaveLength(5);
+        expect(getBadgeLabels(element)).toEqual(["5 of 8", "Loaded at once"]);
+    });
+
+    it("pages a search above the threshold on the server without counting it again", async () => {
+        getContactCount.mockResolvedValue({ count: 50, maxClientRows: 1000 });
+        getContacts.mockResolvedValue(contactsPage(0, 5, true, 50));
+
+        const element = await createTable({ pageSize: 5, clientSideThreshold: 10 });
+
+        expect(getContactCount).toHaveBeenCalledTimes(1);
+        expect(getContacts).toHaveBeenCalledWith(
+            expect.objectContaining({ limitSize: 5, offset: 0, searchTerm: "", knownTotalCount: 50 })
+        );
+        expect(getBadgeLabels(element)).toEqual(["5 of 50", "Paged from the server"]);
+    });
+
+    it("never pages more contacts in the browser than the server allows", async () => {
+        getContactCount.mockResolvedValue({ count: 8, maxClientRows: 6 });
+        getContacts.mockResolvedValue(contactsPage(0, 5, true, 8));
+
+        const element = await createTable({ pageSize: 5, clientSideThreshold: 10 });
+
+        expect(getContacts).toHaveBeenCalledWith(expect.objectContaining({ limitSize: 5 }));
+        expect(getBadgeLabels(element)).toContain("Paged from the server");
+    });
+
+    it("picks the paging strategy again when the search in the page state changes", async () => {
+        getContactCount
+            .mockResolvedValueOnce({ count: 50, maxClientRows: 1000 })
+            .mockResolvedValueOnce({ count: 2, maxClientRows: 1000 });
+        getContacts
+            .mockResolvedValueOnce(contactsPage(0, 5, true, 50))
+            .mockResolvedValueOnce(contactsPage(0, 2, false, 2));
+        const element = await createTable({ pageSize: 5, clientSideThreshold: 10 });
+
+        CurrentPageReference.emit({
+            ...PAGE_REFERENCE,
+            state: { c__hybridLazyLoadingInHtmlTableWithScrollBar_search: "ab" }
+        });
+        await settle();
+
+        expect(getContactCount).toHaveBeenLastCalledWith({ searchTerm: "ab" });
+        expect(getContacts).toHaveBeenLastCalledWith({
+            limitSize: 2,
+            offset: 0,
+            pageCursor: null,
+            searchTerm: "ab",
+            knownTotalCount: 2
+        });
+        expect(getBadgeLabels(element)).toEqual(["2 of 2", "Loaded at once"]);
+    });
+
+    it("pages on the server when contacts were added since they were counted", async () => {
+        getContactCount.mockResolvedValue({ count: 8, maxClientRows: 1000 });
+        getContacts
+            .mockResolvedValueOnce(contactsPage(0, 8, true, 8))
+            .mockResolvedValueOnce(contactsPage(0, 5, true, 9));
+
+        const element = await createTable({ pageSize: 5, clientSideThreshold: 10 });
+
+        expect(getContacts).toHaveBeenLastCalledWith({ limitSize: 5, offset: 0, pageCursor: null, searchTerm: "" });
+        expect(getBadgeLabels(element)).toEqual(["5 of 9", "Paged from the server"]);
+    });
+});
@@ -0,0 +1,353 @@
+/*hybridLazyLoadingInHtmlTableWithScrollBar.js*/
+// Import necessary LWC modules and decorators
+import { LightningElement, api, wire } from "lwc";
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
+// Import Apex method for counting the contacts that match the search
+import getContactCount from "@salesforce/apex/LazyLoadingContactController.getContactCount";
+// Import Apex method for retrieving one page of contacts
+import getContacts from "@salesforce/apex/LazyLoadingContactController.getContactsData";
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, { debounce, sizeToVisibleRows, RowSizeObserver, PageState } from "c/lazyLoader";
+
+// Milliseconds to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+// Distance in pixels from the bottom of the container at which the next page is loaded
+const LOAD_MORE_BUFFER = 10;
+
+// Columns written to the CSV export, matching the table headers
+const EXPORT_COLUMNS = [
+    { label: "First Name", fieldName: "FirstName" },
+    { label: "Last Name", fieldName: "LastName" },
+    { label: "Email", fieldName: "Email" }
+];
+
+// Export the class that loads small result sets at once and pages through large ones on the server
+export default class HybridLazyLoadingInHtmlTableWithScrollBar extends NavigationMixin(LightningElement) {
+    // Public property to define the number of records per page
+    @api pageSize = 5;
+    // Public property to define the number of rows the scroll bar shows at once
+    @api visibleRows = 5;
+    // Public property to define the most matching contacts that are fetched at once and paged in the browser
+    @api clientSideThreshold = 200;
+    // Public property to define how far the user scrolls, in percent, before the next page is prefetched
+    @api prefetchThreshold = 50;
+    // Reactive property to store the contacts shown so far
+    contacts = [];
+    // Columns written to the CSV export
+    exportColumns = EXPORT_COLUMNS;
+    // Term the contact names are filtered by
+    searchTerm = "";
+    // Number of contacts matching the current search, capped like the total count of a page; unknown until counted
+    contactCount;
+    // Paging strategy chosen for the current search, "client" or "server"; unknown until the contacts are counted
+    mode;
+    // Every matching contact, fetched at once when paging in the browser
+    allContacts = null;
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = "0";
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Shared loader that owns offset, end-of-data detection and serial numbering
+    loader;
+    // Boolean flag to track if data is being fetched
+    isLoading = false;
+    // Boolean flag to check if there are more records available to load
+    hasMoreRecords = true;
+    // Measured height of a contact row in px, 0 until the first row has rendered
+    rowHeight = 0;
+    // Re-measures the rows whenever the table changes size
+    rowSizeObserver = new RowSizeObserver(() => {
+        this.setScrollableHeight();
+        this.loadMoreIfNearBottom();
+    });
+    // Last scroll position of the container, cached with the loaded pages
+    scrollTop = 0;
+    // Scroll position to restore once the cached pages have rendered
+    pendingScrollTop;
+    // Keeps the view in step with the page state and caches the loaded pages
+    pageState;
+
+    /**
+     * @description - connectedCallback lifecycle hook invoked when the component is inserted into the DOM.
+     * Creates the loader; loading starts once the page state has been read.
+     */
+    connectedCallback() {
+        // Create the loader; its page source decides where the pages come from
+        this.loader = new LazyLoader({
+            fetchPage: (params) => this.fetchContactsPage(params),
+            pageSize: this.pageSize,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () => `hybridLazyLoadingInHtmlTableWithScrollBar:${this.searchTerm}`
+        });
+        this.pageState = new PageState({
+            prefix: "hybridLazyLoadingInHtmlTableWithScrollBar",
+            loader: this.loader,
+            defaults: { searchTerm: "" },
+            getView: () => ({ searchTerm: this.searchTerm }),
+            applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+            load: (limitSize) => this.loadInitialData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true),
+            onRestore: (scrollTop) => {
+                this.pendingScrollTop = scrollTop;
+            }
+        });
+        // Search once the user stops typing
+        this.debouncedSearch = debounce((searchTerm) => this.applySearch(searchTerm), SEARCH_DELAY);
+    }
+
+    /**
+     * @description - wiredPageReference method hands the page state to the page state helper, which opens the table
+     * in the view it describes, so a shared link shows the same search, page size and number of loaded contacts.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
+
+    /**
+     * @description - applyView method shows the search read from the page state.
+     * @param {Object} view - { searchTerm } read from the page state
+     * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+     * @return {void} - This method does not return any value.
+     */
+    applyView({ searchTerm }, isFirstView) {
+        if (isFirstView) {
+            this.searchTerm = searchTerm;
+        } else {
+            this.applySearch(searchTerm);
+        }
+    }
+
+    /**
+     * @description - renderedCallback lifecycle hook invoked after the component has been rendered.
+     * Watches the table so the scrollable height follows its rows, and keeps loading while the rows
+     * do not fill the container.
+     */
+    renderedCallback() {
+        this.rowSizeObserver.observe(this.template.querySelector(".scrollable table"));
+        this.setScrollableHeight();
+        // Scroll the restored rows back into view once they are rendered
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (scrollableContainer && this.pendingScrollTop !== undefined && this.contacts.length) {
+            scrollableContainer.scrollTop = this.pendingScrollTop;
+            this.pendingScrollTop = undefined;
+        }
+        // Rows that do not fill the container leave nothing to scroll, so the next page is loaded right away
+        this.loadMoreIfNearBottom();
+    }
+
+    /**
+     * @description - disconnectedCallback lifecycle hook invoked when the component is removed from the DOM.
+     * Stops watching the table and caches the loaded pages for when the user comes back.
+     */
+    disconnectedCallback() {
+        this.rowSizeObserver.disconnect();
+        this.pageState.disconnect(this.scrollTop);
+    }
+
+    /**
+     * @description - fetchContactsPage method is the page source of the loader.
+     * The first page of a search counts the matching contacts and picks the paging strategy:
+     * up to the threshold every contact is fetched once and later pages are sliced from memory,
+     * above it every page is queried on the server. Either way the count is passed on, so it is not taken again.
+     * @param {Object} params - Paging parameters from the loader
+     * @param {number} params.limitSize - Number of contacts to return
+     * @param {number} params.offset - Index of the first contact to return
+     * @param {string} params.pageCursor - Cursor of the next server page, if any
+     * @return {Promise} - Resolves to a page object for the requested slice
+     */
+    async fetchContactsPage({ limitSize, offset, pageCursor }) {
+        const searchTerm = this.searchTerm;
+        if (!this.mode) {
+            const { count, maxClientRows } = await getContactCount({ searchTerm });
+            // A newer search may have started meanwhile; the loader discards this page, so keep the state untouched
+            if (searchTerm !== this.searchTerm) {
+                return { records: [] };
+            }
+            this.contactCount = count;
+            // Never page more contacts in the browser than the server allows
+            this.mode = count <= Math.min(this.clientSideThreshold, maxClientRows) ? "client" : "server";
+        }
+        if (this.mode === "server") {
+            return getContacts({ limitSize, offset, pageCursor, searchTerm, knownTotalCount: this.contactCount });
+        }
+        if (!this.allContacts) {
+            // Fetched fresh like the count, rather than from a cache that may be older than it
+            const page = this.contactCount
+                ? await getContacts({
+                      limitSize: this.contactCount,
+                      offset: 0,
+                      pageCursor: null,
+                      searchTerm,
+                      knownTotalCount: this.contactCount
+                  })
+                : { records: [], hasMore: false };
+            if (searchTerm !== this.searchTerm) {
+                return { records: [] };
+            }
+            if (page.hasMore) {
+                // Contacts were added since they were counted; page through them on the server instead
+                this.mode = "server";
+                this.contactCount = undefined;
+                return getContacts({ limitSize, offset, pageCursor, searchTerm });
+            }
+            this.allContacts = page.records;
+        }
+        return {
+            records: this.allContacts.slice(offset, offset + limitSize),
+            hasMore: offset + limitSize < this.allContacts.length,
+            totalCount: this.allContacts.length
+        };
+    }
+
+    /**
+     * @description - loadInitialData method fetches the next page of contacts through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of contacts to load, one page unless given
+     * @return {void} - This method does not return any value.
+     */
+    async loadInitialData(limitSize) {
+        await this.loader.loadMore(limitSize);
+        this.setScrollableHeight();
+    }
+
+    /**
+     * @description - handleSearchChange method passes the typed term to the debounced search.
+     * @param {event} event - The change event from the search input.
+     * @return {void} - This method does not return any value.
+     */
+    handleSearchChange(event) {
+        this.debouncedSearch(event.target.value);
+    }
+
+    /**
+     * @description - applySearch method reloads the contacts filtered by the new term.
+     * The new results are counted again, so the paging strategy may change with the search.
+     * @param {string} searchTerm - Term the contact names must contain.
+     * @return {void} - This method does not return any value.
+     */
+    applySearch(searchTerm) {
+        // Nothing to do when the term has not changed
+        if (searchTerm === this.searchTerm) return;
+        this.searchTerm = searchTerm;
+        this.contactCount = undefined;
+        this.mode = undefined;
+        this.allContacts = null;
+        this.loader.reset();
+        this.loadInitialData();
+    }
+
+    /**
+     * @description - handleRetry method loads the page that failed again, from where loading stopped.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleRetry() {
+        this.loader.retry();
+    }
+
+    /**
+     * @description - handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
+     */
+    handleLoaderChange(loader) {
+        this.contacts = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
+    }
+
+    /**
+     * modeLabel getter describes where the pages of the current search come from.
+     * @return {string} - Label of the paging strategy, or undefined until it is chosen
+     */
+    get modeLabel() {
+        if (this.mode === "client") {
+            return "Loaded at once";
+        }
+        return this.mode === "server" ? "Paged from the server" : undefined;
+    }
+
+    /**
+     * partialDataMessage getter tells the user when the table does not hold every matching contact yet.
+     * Searches paged in the browser are fetched whole, so only server-side paging shows it.
+     * @return {string} - Notice to show, or undefined when every matching contact is available
+     */
+    get partialDataMessage() {
+        if (this.mode === "server" && this.hasMoreRecords && this.contacts.length) {
+            return `Showing ${this.loadedCountLabel} matching contacts. More are loaded from the server as you scroll.`;
+        }
+        return undefined;
+    }
+
+    /**
+     * allLoaded getter checks if all records have been loaded.
+     * @return {boolean} - True if all records are loaded, false otherwise.
+     */
+    get allLoaded() {
+        // Returns true if there are no more records to load and at least one record is present
+        return !this.hasMoreRecords && this.contacts.length > 0;
+    }
+
+    /**
+     * @description - handleScroll method loads more contacts near the bottom of the container
+     * and prefetches the next page once the user passes the prefetch threshold.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleScroll() {
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (!scrollableContainer) return;
+        const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        // Remember the position so it can be restored with the cached pages
+        this.scrollTop = scrollTop;
+
+        if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER && !this.isLoading) {
+            this.loadInitialData();
+        } else if (((scrollTop + clientHeight) / scrollHeight) * 100 >= this.prefetchThreshold) {
+            // Past the threshold, request the next page so it shows at once when the bottom is reached
+            this.loader.prefetch();
+        }
+    }
+
+    /**
+     * @description - loadMoreIfNearBottom method loads the next page when the container is scrolled to within
+     * LOAD_MORE_BUFFER pixels of its bottom, which is also the case while the rows do not fill the container.
+     * Nothing is loaded before a row has been measured, as the container has no height until then.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    loadMoreIfNearBottom() {
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (!scrollableContainer || !this.rowHeight || this.isLoading || !this.hasMoreRecords) return;
+        const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER) {
+            this.loadInitialData();
+        }
+    }
+
+    /**
+     * setScrollableHeight method sets the height of the scrollable container to show visibleRows rows.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    setScrollableHeight() {
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (scrollableContainer) {
+            this.rowHeight = sizeToVisibleRows(
+                scrollableContainer,
+                scrollableContainer.querySelector("table"),
+                this.visibleRows
+            );
+        }
+    }
+}
@@ -0,0 +1,329 @@
+import LazyLoader, { PageState, sizeToVisibleRows, toCsv } from "c/lazyLoader";
+
+// Returns a promise together with the functions that settle it, to control when a page arrives
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+// Builds page records with the given names
+function records(...names) {
+    return names.map((name) => ({ Id: `id-${name}`, Name: name }));
+}
+
+describe("c-lazy-loader", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        sessionStorage.clear();
+    });
+
+    describe("loadMore", () => {
+        it("appends pages with serial numbers and detects the end of the data", async () => {
+            const fetchPage = jest
+                .fn()
+                .mockResolvedValueOnce(records("a", "b"))
+                .mockResolvedValueOnce(records("c"));
+            const loader = new LazyLoader({ fetchPage, pageSize: 2 });
+
+            await loader.loadMore();
+            await loader.loadMore();
+
+            expect(fetchPage).toHaveBeenLastCalledWith({ limitSize: 2, offset: 2, pageCursor: null });
+            expect(loader.records.map((record) => record.serialNumber)).toEqual([1, 2, 3]);
+            expect(loader.hasMoreRecords).toBe(false);
+            expect(loader.allLoaded).toBe(true);
+        });
+
+        it("discards a page that arrives after a reset", async () => {
+            const stalePage = deferred();
+            const fetchPage = jest
+                .fn()
+                .mockReturnValueOnce(stalePage.promise)
+                .mockResolvedValueOnce(records("new"));
+            const loader = new LazyLoader({ fetchPage, pageSize: 1 });
+
+            const staleLoad = loader.loadMore();
+            loader.reset();
+            await loader.loadMore();
+            stalePage.resolve(records("old"));
+            await staleLoad;
+
+            expect(loader.records.map((record) => record.Name)).toEqual(["new"]);
+            expect(loader.offset).toBe(1);
+            expect(loader.isLoading).toBe(false);
+        });
+
+        it("ignores the failure of a load invalidated by a reset", async () => {
+            const stalePage = deferred();
+            const fetchPage = jest.fn().mockReturnValueOnce(stalePage.promise);
+            const loader = new LazyLoader({ fetchPage, maxRetries: 0 });
+
+            const staleLoad = loader.loadMore();
+            loader.reset();
+            stalePage.reject(new Error("Too late"));
+            await staleLoad;
+
+            expect(loader.error).toBeUndefined();
+        });
+    });
+
+    describe("refresh", () => {
+        it("keeps the rows of the newest refresh when refreshes overlap", async () => {
+            const newerRefresh = deferred();
+            const fetchPage = jest
+                .fn()
+                .mockResolvedValueOnce(records("a", "b"))
+                .mockResolvedValueOnce(records("b", "c"))
+                .mockReturnValueOnce(newerRefresh.promise);
+            const loader = new LazyLoader({ fetchPage, pageSize: 2 });
+            await loader.loadMore();
+
+            // The older refresh arrives first, but a newer one was started before it did
+            const olderRefreshDone = loader.refresh();
+            const newerRefreshDone = loader.refresh();
+            await olderRefreshDone;
+            newerRefresh.resolve(records("d", "e"));
+            await newerRefreshDone;
+
+            expect(loader.records.map((record) => record.Name)).toEqual(["d", "e"]);
+        });
+    });
+
+    describe("retries", () => {
+        it("retries transient failures with a doubling delay", async () => {
+            const delays = [];
+            jest.spyOn(window, "setTimeout").mockImplementation((callback, ms) => {
+                delays.push(ms);
+                callback();
+                return 0;
+            });
+            const fetchPage = jest
+                .fn()
+                .mockRejectedValueOnce({ status: 503 })
+                .mockRejectedValueOnce({ status: 504 })
+                .mockResolvedValueOnce(records("a"));
+            const loader = new LazyLoader({ fetchPage, retryDelay: 100 });
+
+            await loader.loadMore();
+
+            expect(fetchPage).toHaveBeenCalledTimes(3);
+            expect(delays).toEqual([100, 200]);
+            expect(loader.records).toHaveLength(1);
+            expect(loader.error).toBeUndefined();
+        });
+
+        it("gives up after the last retry and keeps the error", async () => {
+            jest.spyOn(window, "setTimeout").mockImplementation((callback) => {
+                callback();
+                return 0;
+            });
+            const fetchPage = jest.fn().mockRejectedValue({ status: 503, body: { message: "Unavailable" } });
+            const loader = new LazyLoader({ fetchPage, maxRetries: 2 });
+
+            await loader.loadMore();
+
+            expect(fetchPage).toHaveBeenCalledTimes(3);
+            expect(loader.errorMessage).toBe("Unavailable");
+            expect(loader.isLoading).toBe(false);
+        });
+
+        it("does not retry errors raised by the page source", async () => {
+            const fetchPage = jest.fn().mockRejectedValue(new Error("Bad source"));
+            const loader = new LazyLoader({ fetchPage });
+
+            await loader.loadMore();
+
+            expect(fetchPage).toHaveBeenCalledTimes(1);
+            expect(loader.errorMessage).toBe("Bad source");
+        });
+
+        it("loads the failed page again on retry", async () => {
+            const fetchPage = jest
+                .fn()
+                .mockRejectedValueOnce(new Error("Bad source"))
+                .mockResolvedValueOnce(records("a"));
+            const loader = new LazyLoader({ fetchPage });
+
+            await loader.loadMore();
+            await loader.retry();
+
+            expect(fetchPage).toHaveBeenLastCalledWith({ limitSize: 5, offset: 0, pageCursor: null });
+            expect(loader.records).toHaveLength(1);
+            expect(loader.error).toBeUndefined();
+        });
+    });
+
+    describe("cache", () => {
+        const cacheKey = () => "test";
+
+        it("restores the cached pages with the scroll position", async () => {
+            const saved = new LazyLoader({ fetchPage: jest.fn().mockResolvedValue(records("a")), cacheKey });
+            await saved.loadMore();
+            saved.saveToCache(120);
+
+            const restored = new LazyLoader({ fetchPage: jest.fn(), cacheKey });
+
+            expect(restored.restoreFromCache()).toEqual({ scrollTop: 120 });
+            expect(restored.records.map((record) => record.Name)).toEqual(["a"]);
+            expect(restored.hasMoreRecords).toBe(false);
+        });
+
+        it("drops pages older than the time to live", async () => {
+            const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+            const saved = new LazyLoader({ fetchPage: jest.fn().mockResolvedValue(records("a")), cacheKey });
+            await saved.loadMore();
+            saved.saveToCache();
+
+            now.mockReturnValue(1000 + 60001);
+            const restored = new LazyLoader({ fetchPage: jest.fn(), cacheKey, cacheTtl: 60000 });
+
+            expect(restored.restoreFromCache()).toBeNull();
+            expect(restored.records).toEqual([]);
+            expect(sessionStorage.getItem("lazyLoader:test")).toBeNull();
+        });
+
+        it("treats pages saved without a timestamp as expired", () => {
+            sessionStorage.setItem("lazyLoader:test", JSON.stringify({ records: records("a") }));
+            const loader = new LazyLoader({ fetchPage: jest.fn(), cacheKey });
+
+            expect(loader.restoreFromCache()).toBeNull();
+            expect(sessionStorage.getItem("lazyLoader:test")).toBeNull();
+        });
+
+        it("ignores cache entries that are not valid JSON", () => {
+            sessionStorage.setItem("lazyLoader:test", "{");
+            const loader = new LazyLoader({ fetchPage: jest.fn(), cacheKey });
+
+            expect(loader.restoreFromCache()).toBeNull();
+        });
+    });
+
+    describe("sizeToVisibleRows", () => {
+        let container;
+
+        beforeEach(() => {
+            container = document.createElement("div");
+            container.style.padding = "0px";
+            document.body.appendChild(container);
+        });
+
+        afterEach(() => {
+            container.remove();
+        });
+
+        // Builds a table whose header and rows report the given heights
+        function buildTable(rowCount, rowHeight, headerHeight) {
+            const table = document.createElement("table");
+            const head = table.createTHead();
+            head.insertRow();
+            head.getBoundingClientRect = () => ({ height: headerHeight });
+            const body = table.createTBody();
+            for (let index = 0; index < rowCount; index++) {
+                const row = body.insertRow();
+                const top = headerHeight + index * rowHeight;
+                row.getBoundingClientRect = () => ({ top, bottom: top + rowHeight });
+            }
+            return table;
+        }
+
+        it("sizes the container to the header and the visible rows", () => {
+            const table = buildTable(3, 30, 40);
+
+            const rowHeight = sizeToVisibleRows(container, table, 5);
+
+            expect(rowHeight).toBe(30);
+            expect(container.style.height).toBe("190px");
+        });
+
+        it("leaves the container alone while no row is rendered", () => {
+            expect(sizeToVisibleRows(container, buildTable(0, 30, 40), 5)).toBe(0);
+            expect(container.style.height).toBe("");
+        });
+    });
+
+    describe("toCsv", () => {
+        const columns = [
+            { label: "Name", fieldName: "Name" },
+            { label: "Amount", fieldName: "Amount" }
+        ];
+
+        it("writes a header row and CRLF line endings", () => {
+            expect(toCsv([{ Name: "Acme", Amount: 5 }], columns)).toBe("Name,Amount\r\nAcme,5");
+        });
+
+        it("quotes fields holding quotes, commas or line breaks", () => {
+            const csv = toCsv([{ Name: 'Acme, "Inc"\nEurope', Amount: null }], columns);
+
+            expect(csv).toBe('Name,Amount\r\n"Acme, ""Inc""\nEurope",');
+        });
+
+        it("prefixes text that starts like a formula", () => {
+            const csv = toCsv([{ Name: "=HYPERLINK(\"x\")", Amount: -5 }, { Name: "@SUM(A1)" }], columns);
+
+            expect(csv).toBe("Name,Amount\r\n\"'=HYPERLINK(\"\"x\"\")\",-5\r\n'@SUM(A1),");
+        });
+    });
+
+    describe("PageState", () => {
+        const pageRef = { type: "standard__navItemPage", attributes: { apiName: "Tables" }, state: {} };
+
+        // Builds a page state over a loader that resolves to the given records
+        function buildPageState(page, view) {
+            const loader = new LazyLoader({ fetchPage: jest.fn().mockResolvedValue(page), pageSize: 2 });
+            const navigate = jest.fn();
+            const load = jest.fn((limitSize) => loader.loadMore(limitSize));
+            const pageState = new PageState({
+                prefix: "contacts",
+                loader,
+                defaults: { searchTerm: "" },
+                getView: () => view,
+                applyView: jest.fn(),
+                load,
+                navigate
+            });
+            return { load, loader, navigate, pageState };
+        }
+
+        it("reads the view and page size from the parameters of the table", () => {
+            const { load, loader, pageState } = buildPageState(records("a"), { searchTerm: "" });
+
+            pageState.handlePageReference({
+                ...pageRef,
+                state: { c__contacts_search: "ac", c__contacts_pageSize: "10", c__other_search: "zz" }
+            });
+
+            expect(pageState.applyView).toHaveBeenCalledWith({ searchTerm: "ac" }, true);
+            expect(loader.pageSize).toBe(10);
+            expect(load).toHaveBeenCalledWith(10);
+        });
+
+        it("leaves default values out of the URL", async () => {
+            const { load, navigate, pageState } = buildPageState(records("a", "b"), { searchTerm: "" });
+            pageState.handlePageReference(pageRef);
+            await load.mock.results[0].value;
+
+            pageState.update();
+
+            expect(navigate).not.toHaveBeenCalled();
+        });
+
+        it("writes the values that differ from the defaults under the prefix", async () => {
+            const { load, loader, navigate, pageState } = buildPageState(records("a", "b"), { searchTerm: "ac" });
+            pageState.handlePageReference(pageRef);
+            await load.mock.results[0].value;
+            await loader.loadMore();
+
+            pageState.update();
+
+            expect(navigate).toHaveBeenCalledWith({
+                ...pageRef,
+                state: { c__contacts_search: "ac", c__contacts_loaded: "4" }
+            });
+        });
+    });
+});
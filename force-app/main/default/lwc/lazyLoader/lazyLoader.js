@@ -0,0 +1,887 @@
+/*lazyLoader.js*/
+// Service module shared by every lazy-loading table component.
+// It owns the paging state, guards against concurrent loads, detects the end of the data
+// and numbers the rows, so the table components only have to render what it hands back.
+
+// Default number of records requested per page
+const DEFAULT_PAGE_SIZE = 5;
+// Default number of automatic retries after a transient failure
+const DEFAULT_MAX_RETRIES = 3;
+// Default delay before the first automatic retry, doubled for every further retry
+const DEFAULT_RETRY_DELAY = 500;
+// HTTP statuses worth retrying: timeouts, throttling and unavailable servers
+const TRANSIENT_STATUSES = [408, 429, 502, 503, 504];
+// Prefix of the sessionStorage keys the loaded pages are cached under
+const CACHE_PREFIX = "lazyLoader:";
+// Default time in milliseconds a cached set of pages may be restored after it was saved
+const DEFAULT_CACHE_TTL = 10 * 60 * 1000;
+// Largest page size a link may ask for
+const MAX_LINKED_PAGE_SIZE = 200;
+// Most rows a link may ask to load at once
+const MAX_LINKED_ROWS = 2000;
+// Names of the page state parameters the view state of a table is written to, after the prefix of the table
+const VIEW_STATE_PARAMS = {
+    sortBy: "sortBy",
+    sortDirection: "sortDirection",
+    searchTerm: "search",
+    filterTerm: "filter",
+    sortKeys: "sort",
+    pageSize: "pageSize",
+    loadedCount: "loaded"
+};
+
+/**
+ * @description - wait function resolves after the given number of milliseconds.
+ * Used to simulate network latency in the demo components.
+ * @param {number} ms - Number of milliseconds to wait
+ * @return {Promise} - Resolves after the delay
+ */
+export function wait(ms) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @description - debounce function wraps a callback so it only runs once calls have stopped for the given time.
+ * Used by the search inputs so the server is queried once the user stops typing.
+ * @param {Function} callback - Function to call with the arguments of the last call
+ * @param {number} ms - Number of milliseconds to wait after the last call
+ * @return {Function} - Debounced function
+ */
+export function debounce(callback, ms) {
+    let timeoutId;
+    return (...args) => {
+        clearTimeout(timeoutId);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        timeoutId = setTimeout(() => callback(...args), ms);
+    };
+}
+
+/**
+ * @description - getErrorMessage function extracts a readable message from an Apex or JavaScript error.
+ * @param {Object} error - Error thrown by an Apex call or by the page source
+ * @return {string} - Message to show to the user
+ */
+export function getErrorMessage(error) {
+    if (Array.isArray(error?.body)) {
+        return error.body.map((item) => item.message).join(", ");
+    }
+    return (
+        error?.body?.message ||
+        error?.body?.pageErrors?.[0]?.message ||
+        error?.message ||
+        "Unknown error"
+    );
+}
+
+/**
+ * @description - isTransientError function checks if a failed load is worth retrying automatically.
+ * Network failures have no HTTP status; timeouts, throttling and unavailable servers are also retried.
+ * JavaScript errors raised by the page source itself are never retried.
+ * @param {Object} error - Error thrown by an Apex call or by the page source
+ * @return {boolean} - True if the same request may succeed when sent again
+ */
+export function isTransientError(error) {
+    if (error instanceof Error) {
+        return false;
+    }
+    return !error?.status || TRANSIENT_STATUSES.includes(error.status);
+}
+
+/**
+ * @description - addSerialNumbers function adds a serial number to each record for display purposes.
+ * @param {Array} records - Array of records fetched from the server
+ * @param {number} currentLength - Number of records already loaded
+ * @return {Array} - Copies of the records with a serialNumber starting after currentLength
+ */
+export function addSerialNumbers(records, currentLength) {
+    return records.map((record, index) => ({
+        ...record,
+        serialNumber: currentLength + index + 1
+    }));
+}
+
+/**
+ * @description - mergeSelection function combines a datatable row selection with the selection kept so far.
+ * A datatable only reports the selected rows it holds, so selected Ids that are not loaded are carried over.
+ * @param {Array} selectedIds - Ids selected so far, loaded or not
+ * @param {Array} loadedRecords - Records currently held by the datatable
+ * @param {Array} selectedRows - Rows the datatable reports as selected
+ * @return {Array} - Ids of the new selection
+ */
+export function mergeSelection(selectedIds, loadedRecords, selectedRows) {
+    const loadedIds = new Set(loadedRecords.map((record) => record.Id));
+    const notLoadedIds = selectedIds.filter((recordId) => !loadedIds.has(recordId));
+    return [...notLoadedIds, ...selectedRows.map((row) => row.Id)];
+}
+
+/**
+ * @description - toCsvValue function formats one cell as a CSV field.
+ * Fields holding a quote, a comma or a line break are quoted, with the quotes inside doubled.
+ * Text starting like a formula is prefixed with an apostrophe, so spreadsheet applications show it as text
+ * instead of evaluating it.
+ * @param {*} value - Value of the cell
+ * @return {string} - Escaped CSV field
+ */
+function toCsvValue(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @description - toCsv function builds a CSV document with a header row from the records.
+ * @param {Array} records - Records to write, one per row
+ * @param {Array} columns - Columns to write, each with a label and a fieldName
+ * @return {string} - CSV document with CRLF line endings
+ */
+export function toCsv(records, columns) {
+    const header = columns.map((column) => toCsvValue(column.label)).join(",");
+    const rows = records.map((record) => columns.map((column) => toCsvValue(record[column.fieldName])).join(","));
+    return [header, ...rows].join("\r\n");
+}
+
+/**
+ * @description - viewStateParam function names the page state parameter a view value of a table is written to.
+ * @param {string} prefix - Prefix of the table, which keeps it apart from other tables on the page
+ * @param {string} key - Any of sortBy, sortDirection, searchTerm, filterTerm, sortKeys, pageSize, loadedCount
+ * @return {string} - Parameter name, for example c__contacts_search
+ */
+function viewStateParam(prefix, key) {
+    return `c__${prefix}_${VIEW_STATE_PARAMS[key]}`;
+}
+
+/**
+ * @description - readViewState function reads the view state of a table from the state of a page reference,
+ * so a link to the page opens the table as it was shared. Values that are missing or invalid are left undefined.
+ * @param {Object} state - State of the current page reference
+ * @param {string} prefix - Prefix of the table
+ * @return {Object} - { sortBy, sortDirection, searchTerm, filterTerm, sortKeys, pageSize, loadedCount };
+ * sortKeys is the text the table wrote and is checked by the table
+ */
+function readViewState(state, prefix) {
+    const read = (key) => state?.[viewStateParam(prefix, key)];
+    const pageSize = parseInt(read("pageSize"), 10);
+    const loadedCount = parseInt(read("loadedCount"), 10);
+    const sortDirection = read("sortDirection");
+    return {
+        sortBy: read("sortBy") || undefined,
+        sortDirection: sortDirection === "asc" || sortDirection === "desc" ? sortDirection : undefined,
+        searchTerm: read("searchTerm") || undefined,
+        filterTerm: read("filterTerm") || undefined,
+        sortKeys: read("sortKeys") || undefined,
+        pageSize: pageSize > 0 ? Math.min(pageSize, MAX_LINKED_PAGE_SIZE) : undefined,
+        loadedCount: loadedCount > 0 ? Math.min(loadedCount, MAX_LINKED_ROWS) : undefined
+    };
+}
+
+/**
+ * @description - viewStatePageReference function writes the view state of a table into a copy of a page reference.
+ * Only the given keys are written; empty values remove their parameter. Other state parameters are kept.
+ * @param {Object} pageReference - Current page reference
+ * @param {Object} view - Any of { sortBy, sortDirection, searchTerm, filterTerm, sortKeys, pageSize, loadedCount }
+ * @param {string} prefix - Prefix of the table
+ * @return {Object} - Page reference to navigate to, or null when the state is already up to date
+ */
+function viewStatePageReference(pageReference, view, prefix) {
+    const state = { ...pageReference.state };
+    Object.keys(view).forEach((key) => {
+        const value = view[key];
+        if (value === undefined || value === null || value === "") {
+            delete state[viewStateParam(prefix, key)];
+        } else {
+            state[viewStateParam(prefix, key)] = String(value);
+        }
+    });
+    const changed = Object.keys(view).some((key) => {
+        const param = viewStateParam(prefix, key);
+        return state[param] !== pageReference.state?.[param];
+    });
+    return changed ? { ...pageReference, state } : null;
+}
+
+/**
+ * @description - PageState class keeps the view of a table in step with the page state, so the URL can be shared
+ * or bookmarked, and restores the loaded pages when the user comes back to the table.
+ * Parameters are named after the prefix of the table, so tables on the same page keep their own view;
+ * values that match the defaults are left out of the URL.
+ * Components pass the CurrentPageReference wire to handlePageReference, call update whenever their loader
+ * changes and call disconnect from disconnectedCallback.
+ */
+export class PageState {
+    // Current page reference, the view state is written back to it; cleared once the table is removed
+    pageRef;
+
+    /**
+     * @param {Object} options - Page state options
+     * @param {string} options.prefix - Prefix of the page state parameters, unique to the table
+     * @param {LazyLoader} options.loader - Loader of the table; its page size when the table opens is the default
+     * @param {Object} options.defaults - Default view of the table, any of
+     * { sortBy, sortDirection, searchTerm, filterTerm, sortKeys }, all of them text;
+     * only these keys are read from and written to the page state
+     * @param {Function} options.getView - Returns the current view of the table, with the keys of the defaults
+     * @param {Function} options.applyView - Called with the view read from the page state and a flag set for the
+     * first view; later views are only passed on when they differ from the current one. Needed with defaults only
+     * @param {Function} options.load - Called with the number of rows to load when no cached pages are restored
+     * @param {Function} options.navigate - Called with the page reference to navigate to, replacing the history entry
+     * @param {Function} options.onRestore - Called with the scroll position saved with the restored pages
+     */
+    constructor({ prefix, loader, defaults = {}, getView, applyView, load, navigate, onRestore }) {
+        this.prefix = prefix;
+        this.loader = loader;
+        this.defaults = defaults;
+        this.pageSize = loader.pageSize;
+        this.getView = getView || (() => ({}));
+        this.applyView = applyView || (() => {});
+        this.load = load;
+        this.navigate = navigate;
+        this.onRestore = onRestore;
+    }
+
+    /**
+     * @description - handlePageReference method opens the table in the view described by the page state, so a shared
+     * link shows the same view, page size and number of loaded rows. Later changes of the page state, such as going
+     * back in the browser history, are applied to the table.
+     * @param {Object} pageRef - The current page reference
+     * @return {void} - This method does not return any value.
+     */
+    handlePageReference(pageRef) {
+        if (!pageRef) return;
+        const isFirstView = !this.pageRef;
+        this.pageRef = pageRef;
+        const linked = readViewState(pageRef.state, this.prefix);
+        const view = {};
+        Object.keys(this.defaults).forEach((key) => {
+            view[key] = linked[key] === undefined ? this.defaults[key] : linked[key];
+        });
+        if (isFirstView) {
+            this.applyView(view, true);
+            this.loader.pageSize = linked.pageSize || this.pageSize;
+            this.start(linked.loadedCount);
+        } else {
+            const current = this.getView();
+            if (Object.keys(view).some((key) => view[key] !== current[key])) {
+                this.applyView(view, false);
+            }
+        }
+    }
+
+    /**
+     * @description - start method restores the pages cached when the user last left the table, then picks up
+     * changes made since, or loads the first rows.
+     * @param {number} loadedCount - Number of rows to load at once, for example from a shared link
+     * @return {void} - This method does not return any value.
+     */
+    start(loadedCount) {
+        const restored = this.loader.restoreFromCache();
+        if (restored) {
+            if (this.onRestore) {
+                this.onRestore(restored.scrollTop);
+            }
+            this.loader.refresh();
+        } else {
+            this.load(Math.max(this.loader.pageSize, loadedCount || 0));
+        }
+    }
+
+    /**
+     * @description - update method writes the current view to the page state once the rows have settled.
+     * A table opened without the parameters shows a single page in the default view, so such values are left out.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    update() {
+        if (!this.pageRef || this.loader.isLoading) return;
+        const { pageSize, records } = this.loader;
+        const current = this.getView();
+        const view = {
+            pageSize: pageSize === this.pageSize ? undefined : pageSize,
+            loadedCount: records.length > pageSize ? records.length : undefined
+        };
+        Object.keys(this.defaults).forEach((key) => {
+            view[key] = current[key] === this.defaults[key] ? undefined : current[key];
+        });
+        const pageRef = viewStatePageReference(this.pageRef, view, this.prefix);
+        if (pageRef) {
+            this.navigate(pageRef);
+        }
+    }
+
+    /**
+     * @description - disconnect method caches the loaded pages for when the user comes back.
+     * A load finishing after the user left must not change the URL of the next page, so the page is forgotten.
+     * @param {number} scrollTop - Scroll position of the table to restore with the pages
+     * @return {void} - This method does not return any value.
+     */
+    disconnect(scrollTop) {
+        this.loader.saveToCache(scrollTop);
+        this.pageRef = undefined;
+    }
+}
+
+/**
+ * @description - setContainerHeight function sets the height of a scroll container so its content area
+ * has the given height. The container height includes its padding, border and horizontal scroll bar.
+ * @param {HTMLElement} container - Scroll container whose height is set
+ * @param {number} contentHeight - Height in pixels the content area should have
+ * @return {void} - This function does not return any value.
+ */
+function setContainerHeight(container, contentHeight) {
+    const style = getComputedStyle(container);
+    const frameHeight =
+        container.offsetHeight - container.clientHeight + parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+    container.style.height = `${Math.ceil(contentHeight + frameHeight)}px`;
+}
+
+/**
+ * @description - sizeToVisibleRows function sets the height of a scroll container so it shows the table header
+ * and the given number of rows. Rows are measured as rendered, so fonts, density and wrapped text are taken into account;
+ * the row height is the average of the first rendered rows.
+ * @param {HTMLElement} container - Scroll container whose height is set
+ * @param {HTMLElement} table - Table whose header and rows are measured
+ * @param {number} visibleRows - Number of rows the container should show
+ * @param {string} rowSelector - Selector of the data rows inside the table
+ * @return {number} - Measured row height in pixels, or 0 while no row is rendered
+ */
+export function sizeToVisibleRows(container, table, visibleRows, rowSelector = "tbody tr") {
+    const rows = Array.from(table.querySelectorAll(rowSelector)).slice(0, visibleRows);
+    if (!rows.length) {
+        return 0;
+    }
+    const firstRowTop = rows[0].getBoundingClientRect().top;
+    const rowHeight = (rows[rows.length - 1].getBoundingClientRect().bottom - firstRowTop) / rows.length;
+    const headerHeight = table.tHead ? table.tHead.getBoundingClientRect().height : 0;
+    setContainerHeight(container, headerHeight + rowHeight * visibleRows);
+    return rowHeight;
+}
+
+/**
+ * @description - sizeDatatableToVisibleRows function does the same for a lightning-datatable, whose rows cannot be
+ * reached from outside it. The height of its rows is derived from the rendered datatable instead: its height less
+ * that of a datatable with the same columns and no rows, shared by the rows it holds.
+ * @param {HTMLElement} container - Scroll container whose height is set
+ * @param {HTMLElement} datatable - Datatable holding the rows, or an element wrapping it, as high as its content
+ * @param {HTMLElement} emptyDatatable - Hidden datatable with the same columns and options but no rows
+ * @param {number} rowCount - Number of rows the datatable holds
+ * @param {number} visibleRows - Number of rows the container should show
+ * @return {number} - Average row height in pixels, or 0 while no row is rendered
+ */
+export function sizeDatatableToVisibleRows(container, datatable, emptyDatatable, rowCount, visibleRows) {
+    const headerHeight = emptyDatatable.getBoundingClientRect().height;
+    const rowsHeight = datatable.getBoundingClientRect().height - headerHeight;
+    if (!rowCount || rowsHeight <= 0) {
+        return 0;
+    }
+    const rowHeight = rowsHeight / rowCount;
+    setContainerHeight(container, headerHeight + rowHeight * visibleRows);
+    return rowHeight;
+}
+
+/**
+ * @description - RowSizeObserver class calls back whenever a measured table changes size,
+ * such as when the container is resized, the density setting changes or rows are added.
+ * Components call observe from renderedCallback, since the table element may be re-rendered,
+ * and disconnect from disconnectedCallback.
+ */
+export class RowSizeObserver {
+    // Element currently observed
+    target;
+
+    /**
+     * @param {Function} onResize - Called with no arguments when the observed element changes size
+     */
+    constructor(onResize) {
+        this.observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(() => onResize());
+    }
+
+    /**
+     * @description - observe method watches the given element instead of the one observed so far.
+     * @param {HTMLElement} element - Element to watch; nothing changes if it is already watched
+     * @return {void} - This method does not return any value.
+     */
+    observe(element) {
+        if (!this.observer || !element || element === this.target) {
+            return;
+        }
+        if (this.target) {
+            this.observer.unobserve(this.target);
+        }
+        this.observer.observe(element);
+        this.target = element;
+    }
+
+    /**
+     * @description - disconnect method stops watching.
+     * @return {void} - This method does not return any value.
+     */
+    disconnect() {
+        this.observer?.disconnect();
+        this.target = undefined;
+    }
+}
+
+/**
+ * @description - pageRecords function reads the records of a page returned by a page source.
+ * @param {Object|Array} result - Array of records, or a page object with records and paging details
+ * @return {Array} - Records of the page
+ */
+function pageRecords(result) {
+    // Sources may return a bare array or a page object with records and paging details
+    return (Array.isArray(result) ? result : result?.records) || [];
+}
+
+/**
+ * @description - pageHasMore function checks if more records follow a page returned by a page source.
+ * Sources that do not report it are assumed to have more records after every full page.
+ * @param {Object|Array} result - Array of records, or a page object with records and paging details
+ * @param {number} pageSize - Number of records that was requested
+ * @return {boolean} - True if there are more records to load
+ */
+function pageHasMore(result, pageSize) {
+    return typeof result?.hasMore === "boolean" ? result.hasMore : pageRecords(result).length === pageSize;
+}
+
+// Export the class that tracks the paging state of a single table
+export default class LazyLoader {
+    // Records loaded so far, in display order
+    records = [];
+    // Offset for pagination, keeps track of the starting point for the next batch of records
+    offset = 0;
+    // Opaque keyset cursor returned with the last page, passed back to fetch the page after it
+    pageCursor = null;
+    // Boolean flag to track if data is being fetched
+    isLoading = false;
+    // Boolean flag to check if there are more records available to load
+    hasMoreRecords = true;
+    // Total number of records the query matches, when the source reports it
+    totalCount = null;
+    // Boolean flag set when the source stopped counting, so totalCount is a lower bound
+    totalCountCapped = false;
+    // Error raised by the last failed load, if any
+    error;
+    // Request generation, incremented by every reset; loads started in an older generation are discarded
+    generation = 0;
+    // Number of refreshes started; a refresh is dropped once a newer one has started
+    refreshCount = 0;
+    // Next page requested ahead of time: { generation, offset, promise }, or null
+    prefetched = null;
+
+    /**
+     * @description - constructor stores the page source and the paging options.
+     * @param {Object} options - Loader options
+     * @param {Function} options.fetchPage - Called with { limitSize, offset, pageCursor }; resolves to an
+     * array of records, or to a page object { records, nextCursor, hasMore, totalCount, totalCountCapped }
+     * for sources that page by cursor, know whether more data exists or count the matching records
+     * @param {number} options.pageSize - Number of records per page
+     * @param {number} options.delay - Simulated latency in milliseconds applied before every fetch, for demos only
+     * @param {number} options.maxRetries - Number of automatic retries after a transient failure
+     * @param {number} options.retryDelay - Delay in milliseconds before the first retry, doubled for each further retry
+     * @param {Function} options.onChange - Called with the loader every time its state changes
+     * @param {Function} options.cacheKey - Returns the key the loaded pages are cached under, built from the
+     * component, query and sort; without it nothing is cached
+     * @param {number} options.cacheTtl - Time in milliseconds a cached set of pages may be restored after it was saved
+     */
+    constructor({
+        fetchPage,
+        pageSize = DEFAULT_PAGE_SIZE,
+        delay = 0,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        retryDelay = DEFAULT_RETRY_DELAY,
+        onChange,
+        cacheKey,
+        cacheTtl = DEFAULT_CACHE_TTL
+    }) {
+        this.fetchPage = fetchPage;
+        this.pageSize = pageSize;
+        this.delay = delay;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.onChange = onChange;
+        this.cacheKey = cacheKey;
+        this.cacheTtl = cacheTtl;
+    }
+
+    /**
+     * errorMessage getter returns the message of the last failed load.
+     * @return {string} - Message to show to the user, or undefined when the last load succeeded
+     */
+    get errorMessage() {
+        return this.error ? getErrorMessage(this.error) : undefined;
+    }
+
+    /**
+     * allLoaded getter checks if all records have been loaded.
+     * @return {boolean} - True if all records are loaded, false otherwise.
+     */
+    get allLoaded() {
+        // Returns true if there are no more records to load and at least one record is present
+        return !this.hasMoreRecords && this.records.length > 0;
+    }
+
+    /**
+     * loadedCountLabel getter describes how many records are loaded, out of the total when it is known.
+     * @return {string} - For example "5 of 312", "5 of 10000+" or "5"
+     */
+    get loadedCountLabel() {
+        if (this.totalCount === null) {
+            return String(this.records.length);
+        }
+        return `${this.records.length} of ${this.totalCount}${this.totalCountCapped ? "+" : ""}`;
+    }
+
+    /**
+     * loadedPercent getter reports the share of the matching records that is loaded.
+     * @return {number} - Percentage between 0 and 100
+     */
+    get loadedPercent() {
+        if (!this.hasMoreRecords) {
+            return 100;
+        }
+        if (!this.totalCount) {
+            return 0;
+        }
+        return Math.min(100, Math.round((this.records.length / this.totalCount) * 100));
+    }
+
+    /**
+     * @description - loadMore method fetches the next page and appends it to the loaded records.
+     * Prevents additional calls if no more records, already loading or the last load failed;
+     * after a failure only retry loads again. A response that arrives after a reset is discarded.
+     * @param {number} limitSize - Number of records to request, for example to load the rows of a shared link at once
+     * @return {Promise} - Resolves once the page has been applied, discarded or the load has failed
+     */
+    async loadMore(limitSize = this.pageSize) {
+        // Exit early if all records are loaded, data is currently being fetched or an error is showing
+        if (!this.hasMoreRecords || this.isLoading || this.error) return;
+        // Tag the load with the current generation so a reset can invalidate it
+        const generation = this.generation;
+        // Mark the start of data loading
+        this.isLoading = true;
+        this.notify();
+
+        let result;
+        try {
+            // A page prefetched for this position is used as is; one that failed is loaded again as usual
+            const prefetched = this.takePrefetched(limitSize);
+            result = prefetched ? await prefetched.catch(() => null) : null;
+            if (!result) {
+                // Simulate a delay for loading to mimic real-time API behavior
+                if (this.delay > 0) {
+                    await wait(this.delay);
+                }
+                result = await this.fetchPageWithRetries(generation, limitSize);
+            }
+        } catch (error) {
+            // A failure of an invalidated load is as irrelevant as its result
+            if (this.isCurrent(generation)) {
+                // Keep the error so the component can surface it
+                this.error = error;
+                this.isLoading = false;
+                this.notify();
+            }
+            return;
+        }
+
+        // Discard the page if the query was reset while it was in flight
+        if (!this.isCurrent(generation)) return;
+        this.applyPage(result, limitSize);
+        // Mark the end of data loading
+        this.isLoading = false;
+        this.notify();
+    }
+
+    /**
+     * @description - prefetch method requests the next page in the background, so the next loadMore can show it
+     * without waiting. Nothing changes on screen until loadMore is called; a reset or a refresh drops the page.
+     * Does nothing while a page is loading, after an error, at the end of the data
+     * or when the page is already requested.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    prefetch() {
+        if (!this.hasMoreRecords || this.isLoading || this.error || this.isPrefetched()) return;
+        const { offset, pageCursor, pageSize } = this;
+        const fetchAhead = async () => {
+            if (this.delay > 0) {
+                await wait(this.delay);
+            }
+            return this.fetchPage({ limitSize: pageSize, offset, pageCursor });
+        };
+        const promise = fetchAhead();
+        // A failed prefetch is only noticed, and retried, when the page is loaded
+        promise.catch(() => {});
+        this.prefetched = { generation: this.generation, offset, promise };
+    }
+
+    /**
+     * @description - isPrefetched method checks if the next page of the current query has been requested ahead of time.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {boolean} - True if a prefetched page matches the current position
+     */
+    isPrefetched() {
+        return Boolean(
+            this.prefetched && this.isCurrent(this.prefetched.generation) && this.prefetched.offset === this.offset
+        );
+    }
+
+    /**
+     * @description - takePrefetched method hands over the prefetched page if it is the one about to be loaded.
+     * The prefetched page is dropped either way, so it is used at most once.
+     * @param {number} limitSize - Number of records about to be requested
+     * @return {Promise} - Resolves to the prefetched page, or null when there is none for this load
+     */
+    takePrefetched(limitSize) {
+        const usable = this.isPrefetched() && limitSize === this.pageSize;
+        const promise = usable ? this.prefetched.promise : null;
+        this.prefetched = null;
+        return promise;
+    }
+
+    /**
+     * @description - applyPage method appends a fetched page and updates the paging state from it.
+     * @param {Object|Array} result - Array of records, or a page object with records and paging details
+     * @param {number} pageSize - Number of records that was requested
+     * @return {void} - This method does not return any value.
+     */
+    applyPage(result, pageSize = this.pageSize) {
+        const page = pageRecords(result);
+
+        // Number the new rows after the ones already loaded and append them
+        this.records = [...this.records, ...addSerialNumbers(page, this.records.length)];
+
+        // Update the offset to fetch the next batch of records
+        this.offset += page.length;
+
+        // Remember where the next page starts when the source pages by cursor
+        this.pageCursor = result?.nextCursor || null;
+
+        // Keep the total reported with the first page
+        if (typeof result?.totalCount === "number") {
+            this.totalCount = result.totalCount;
+            this.totalCountCapped = Boolean(result.totalCountCapped);
+        }
+
+        // Determine if there are more records to load
+        this.hasMoreRecords = pageHasMore(result, pageSize);
+    }
+
+    /**
+     * @description - updateRecords method refreshes loaded records in place, for example after they were saved.
+     * Rows keep their position and serial number, and the paging state is left untouched.
+     * @param {Array} updatedRecords - Records with the new field values, matched to the loaded ones by Id
+     * @return {void} - This method does not return any value.
+     */
+    updateRecords(updatedRecords) {
+        const updatesById = new Map(updatedRecords.map((record) => [record.Id, record]));
+        this.records = this.records.map((record) => ({ ...record, ...updatesById.get(record.Id) }));
+        this.notify();
+    }
+
+    /**
+     * @description - fetchAll method collects every record of the query, for example for an export.
+     * The loaded records are reused and the remaining pages are fetched after them, without being added
+     * to the table, so the paging state of the table is left untouched.
+     * @param {Object} options - Fetch options
+     * @param {number} options.pageSize - Number of records per request, larger pages mean fewer requests
+     * @param {Function} options.onProgress - Called with the number of records collected so far
+     * @param {Function} options.isCancelled - Checked before every request; stops the walk when it returns true
+     * @return {Promise} - Resolves to the numbered records, or to null if the walk was cancelled.
+     * Rejects when the query is reset meanwhile, as the pages would then mix two result sets.
+     */
+    fetchAll({ pageSize = this.pageSize, onProgress, isCancelled } = {}) {
+        const generation = this.generation;
+        const collect = async (records, offset, pageCursor, hasMore) => {
+            if (!this.isCurrent(generation)) {
+                throw new Error("The table was sorted or searched during the export. Export it again.");
+            }
+            if (onProgress) {
+                onProgress(records.length);
+            }
+            if (!hasMore) return records;
+            if (isCancelled && isCancelled()) return null;
+            const result = await this.fetchPage({ limitSize: pageSize, offset, pageCursor });
+            const page = pageRecords(result);
+            return collect(
+                [...records, ...addSerialNumbers(page, records.length)],
+                offset + page.length,
+                result?.nextCursor || null,
+                pageHasMore(result, pageSize)
+            );
+        };
+        return collect(this.records, this.offset, this.pageCursor, this.hasMoreRecords);
+    }
+
+    /**
+     * @description - saveToCache method stores the loaded pages in sessionStorage, so the table can be restored
+     * when the user comes back to it. Called by the components when they are removed from the DOM.
+     * Storage errors, such as a full quota, only mean the table loads from the start next time.
+     * @param {number} scrollTop - Scroll position of the table to restore with the pages
+     * @return {void} - This method does not return any value.
+     */
+    saveToCache(scrollTop = 0) {
+        if (!this.cacheKey || !this.records.length) return;
+        try {
+            sessionStorage.setItem(
+                CACHE_PREFIX + this.cacheKey(),
+                JSON.stringify({
+                    savedAt: Date.now(),
+                    scrollTop,
+                    records: this.records,
+                    offset: this.offset,
+                    pageCursor: this.pageCursor,
+                    hasMoreRecords: this.hasMoreRecords,
+                    totalCount: this.totalCount,
+                    totalCountCapped: this.totalCountCapped
+                })
+            );
+        } catch (error) {
+            // Nothing is cached; the table loads from the start next time
+        }
+    }
+
+    /**
+     * @description - restoreFromCache method takes over the pages cached for the current query,
+     * if they have not expired. Pages saved without a timestamp are treated as expired.
+     * Any load still in flight is invalidated, as with a reset.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {Object} - { scrollTop } saved with the pages, or null when nothing was restored
+     */
+    restoreFromCache() {
+        if (!this.cacheKey) return null;
+        const storageKey = CACHE_PREFIX + this.cacheKey();
+        let cached;
+        try {
+            cached = JSON.parse(sessionStorage.getItem(storageKey));
+        } catch (error) {
+            cached = null;
+        }
+        // Pages without a valid timestamp cannot be shown to be recent, so they count as expired
+        const age = Number.isFinite(cached?.savedAt) ? Date.now() - cached.savedAt : Infinity;
+        if (!cached || !Array.isArray(cached.records) || age > this.cacheTtl) {
+            sessionStorage.removeItem(storageKey);
+            return null;
+        }
+        this.generation++;
+        this.isLoading = false;
+        this.records = cached.records;
+        this.offset = cached.offset;
+        this.pageCursor = cached.pageCursor;
+        this.hasMoreRecords = cached.hasMoreRecords;
+        this.totalCount = cached.totalCount;
+        this.totalCountCapped = cached.totalCountCapped;
+        this.error = undefined;
+        this.notify();
+        return { scrollTop: cached.scrollTop || 0 };
+    }
+
+    /**
+     * @description - refresh method fetches the loaded rows again in a single request, for example after they
+     * were restored from the cache, and replaces them so changes made since show up.
+     * It runs in the background: the result is dropped if the query was reset, another page started loading or
+     * a newer refresh started meanwhile, and a failure keeps the rows already shown.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {Promise} - Resolves once the rows have been replaced, or the refresh was dropped or failed
+     */
+    async refresh() {
+        const count = this.records.length;
+        if (!count || this.isLoading) return;
+        const generation = this.generation;
+        const refreshNumber = ++this.refreshCount;
+        let result;
+        try {
+            result = await this.fetchPage({ limitSize: count, offset: 0, pageCursor: null });
+        } catch (error) {
+            // The rows already shown stay; they are only out of date
+            return;
+        }
+        if (refreshNumber !== this.refreshCount) return;
+        if (!this.isCurrent(generation) || this.isLoading || this.records.length !== count) return;
+        // The rows are replaced, so an export still walking the old ones must not mix them with the new ones
+        this.generation++;
+        this.records = [];
+        this.offset = 0;
+        // The refreshed rows may end somewhere else, so a page prefetched after the old ones no longer fits
+        this.prefetched = null;
+        this.applyPage(result, count);
+        this.notify();
+    }
+
+    /**
+     * @description - isCurrent method checks if a load still belongs to the current query.
+     * @param {number} generation - Generation the load was started in
+     * @return {boolean} - True if no reset happened since the load started
+     */
+    isCurrent(generation) {
+        return generation === this.generation;
+    }
+
+    /**
+     * @description - fetchPageWithRetries method requests the next page, retrying transient failures
+     * with exponential backoff before giving up. Stops early once the load has been invalidated.
+     * @param {number} generation - Generation the load was started in
+     * @param {number} limitSize - Number of records to request
+     * @param {number} attempt - Number of attempts already made for this page
+     * @return {Promise} - Resolves to the result of the page source, or null for an invalidated load
+     */
+    async fetchPageWithRetries(generation, limitSize = this.pageSize, attempt = 0) {
+        // No point asking the server for a page nobody will use
+        if (!this.isCurrent(generation)) return null;
+        try {
+            return await this.fetchPage({
+                limitSize,
+                offset: this.offset,
+                pageCursor: this.pageCursor
+            });
+        } catch (error) {
+            if (attempt >= this.maxRetries || !isTransientError(error)) {
+                throw error;
+            }
+            await wait(this.retryDelay * 2 ** attempt);
+            return this.fetchPageWithRetries(generation, limitSize, attempt + 1);
+        }
+    }
+
+    /**
+     * @description - retry method clears the last error and loads the page that failed again.
+     * The offset and cursor are only advanced on success, so loading resumes where it stopped.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {Promise} - Resolves once the page has been applied or the load has failed again
+     */
+    retry() {
+        this.error = undefined;
+        return this.loadMore();
+    }
+
+    /**
+     * @description - reset method discards the loaded records so paging starts again from the first page.
+     * Used when the query changes, for example after a new sort or search. Any load still in flight is
+     * invalidated, so its response can no longer be appended, and a new load can start right away.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    reset() {
+        this.generation++;
+        this.isLoading = false;
+        this.records = [];
+        this.offset = 0;
+        this.pageCursor = null;
+        this.hasMoreRecords = true;
+        this.totalCount = null;
+        this.totalCountCapped = false;
+        this.error = undefined;
+        this.notify();
+    }
+
+    /**
+     * @description - notify method reports the current state to the owning component.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
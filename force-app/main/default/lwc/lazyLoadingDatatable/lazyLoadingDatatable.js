@@ -0,0 +1,20 @@
+/*lazyLoadingDatatable.js*/
+// Import the base datatable, extended with the cell types the lazy-loading tables need
+import LightningDatatable from "lightning/datatable";
+// Templates of the picklist cell, shown and while edited inline
+import picklistTemplate from "./picklist.html";
+import picklistEditTemplate from "./picklistEdit.html";
+
+// Export the datatable used by the lazy-loading tables that edit picklist fields inline.
+// A picklist column is declared with type "picklist" and its values as typeAttributes.options,
+// for example from getPicklistValues; the edited value goes through draft values, save and errors like any other cell.
+export default class LazyLoadingDatatable extends LightningDatatable {
+    static customTypes = {
+        picklist: {
+            template: picklistTemplate,
+            editTemplate: picklistEditTemplate,
+            standardCellLayout: true,
+            typeAttributes: ["options", "placeholder"]
+        }
+    };
+}
@@ -0,0 +1,18 @@
+/*lazyLoadingErrorPanel.js*/
+// Import necessary LWC modules and decorators
+import { LightningElement, api } from "lwc";
+
+// Export the class that shows a failed page load with a Retry action, shared by every lazy-loading table
+export default class LazyLoadingErrorPanel extends LightningElement {
+    // Public property holding the error message to show
+    @api message;
+
+    /**
+     * handleRetry method asks the owning table to load the failed page again.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleRetry() {
+        this.dispatchEvent(new CustomEvent("retry"));
+    }
+}
@@ -0,0 +1,139 @@
+/*lazyLoadingExport.js*/
+// Import necessary LWC modules and decorators
+import { LightningElement, api } from "lwc";
+// Import the toast event used to report a failed export
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+// Import the helpers that read the message of a failed request and build the CSV document
+import { getErrorMessage, toCsv } from "c/lazyLoader";
+
+// Number of records requested per call when every page is exported
+const EXPORT_PAGE_SIZE = 200;
+// Column holding the serial numbers added by the loader
+const SERIAL_NUMBER_COLUMN = { label: "#", fieldName: "serialNumber" };
+
+// Export the class that downloads the rows of a lazy-loading table as CSV, shared by every lazy-loading table
+export default class LazyLoadingExport extends LightningElement {
+    // Public property holding the loader of the table, used to read the loaded rows and fetch the remaining ones
+    @api loader;
+    // Public property defining the exported columns, each with a label and a fieldName
+    @api columns = [];
+    // Public property defining the name of the downloaded file, without extension
+    @api fileName = "export";
+    // Boolean flag to fetch and export every remaining page, not only the loaded rows
+    allPages = false;
+    // Boolean flag to add the serial numbers as the first column
+    includeSerialNumbers = false;
+    // Boolean flag to track if an export is running
+    isExporting = false;
+    // Boolean flag set by the Cancel button, checked before every page is fetched
+    isCancelled = false;
+    // Number of records collected by the running export
+    exportedCount = 0;
+
+    /**
+     * handleAllPagesChange method stores the choice between the loaded rows and every page.
+     * @param {event} event - The change event from the checkbox.
+     * @return {void} - This method does not return any value.
+     */
+    handleAllPagesChange(event) {
+        this.allPages = event.target.checked;
+    }
+
+    /**
+     * handleSerialNumbersChange method stores whether the serial numbers are exported.
+     * @param {event} event - The change event from the checkbox.
+     * @return {void} - This method does not return any value.
+     */
+    handleSerialNumbersChange(event) {
+        this.includeSerialNumbers = event.target.checked;
+    }
+
+    /**
+     * handleExport method collects the rows to export and downloads them as a CSV file.
+     * When every page is exported, the remaining pages are fetched first; the export can be cancelled meanwhile.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async handleExport() {
+        this.isExporting = true;
+        this.isCancelled = false;
+        this.exportedCount = 0;
+        try {
+            const records = this.allPages
+                ? await this.loader.fetchAll({
+                      pageSize: EXPORT_PAGE_SIZE,
+                      onProgress: (count) => {
+                          this.exportedCount = count;
+                      },
+                      isCancelled: () => this.isCancelled
+                  })
+                : this.loader.records;
+            // Nothing is downloaded when the user cancelled
+            if (!records || this.isCancelled) return;
+            const columns = this.includeSerialNumbers ? [SERIAL_NUMBER_COLUMN, ...this.columns] : this.columns;
+            this.download(toCsv(records, columns));
+        } catch (error) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Export failed",
+                    message: getErrorMessage(error),
+                    variant: "error"
+                })
+            );
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * handleCancel method stops the running export before its next page is fetched.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleCancel() {
+        this.isCancelled = true;
+    }
+
+    /**
+     * download method saves the CSV document through a temporary link to a Blob,
+     * which unlike a data: URI is not cut off at a few megabytes.
+     * A byte order mark is added so spreadsheet applications read the file as UTF-8.
+     * @param {string} csv - CSV document to save.
+     * @return {void} - This method does not return any value.
+     */
+    download(csv) {
+        const url = URL.createObjectURL(new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${this.fileName}.csv`;
+        link.target = "_self";
+        document.body.appendChild(link);
+        try {
+            link.click();
+        } finally {
+            document.body.removeChild(link);
+            // The download has started, so the Blob is no longer needed
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * exportProgress getter reports the share of the records collected, when the total is known.
+     * @return {number} - Percentage between 0 and 100
+     */
+    get exportProgress() {
+        const totalCount = this.loader?.totalCount;
+        return totalCount ? Math.min(100, Math.round((this.exportedCount / totalCount) * 100)) : 0;
+    }
+
+    /**
+     * exportStatus getter describes how many records the running export has collected.
+     * @return {string} - For example "Exporting 400 of 1250 rows..."
+     */
+    get exportStatus() {
+        const totalCount = this.loader?.totalCount;
+        return totalCount
+            ? `Exporting ${this.exportedCount} of ${totalCount} rows...`
+            : `Exporting ${this.exportedCount} rows...`;
+    }
+}
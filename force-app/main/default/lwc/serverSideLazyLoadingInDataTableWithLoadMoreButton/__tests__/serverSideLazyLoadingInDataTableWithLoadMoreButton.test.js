@@ -0,0 +1,185 @@
+import { createElement } from 'lwc';
+import ServerSideLazyLoadingInDataTableWithLoadMoreButton from 'c/serverSideLazyLoadingInDataTableWithLoadMoreButton';
+import { CurrentPageReference } from 'lightning/navigation';
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import getAccounts from '@salesforce/apex/LazyLoadingAccountController.getAccountsData';
+import getAccountIds from '@salesforce/apex/LazyLoadingAccountController.getAccountIds';
+import saveAccounts from '@salesforce/apex/LazyLoadingAccountController.saveAccounts';
+
+jest.mock('@salesforce/apex/LazyLoadingAccountController.getAccountsData', () => ({ default: jest.fn() }), {
+    virtual: true
+});
+jest.mock('@salesforce/apex/LazyLoadingAccountController.getAccountIds', () => ({ default: jest.fn() }), {
+    virtual: true
+});
+jest.mock('@salesforce/apex/LazyLoadingAccountController.saveAccounts', () => ({ default: jest.fn() }), {
+    virtual: true
+});
+// The stub toast event carries no detail, so this one keeps what it was created with
+jest.mock('lightning/platformShowToastEvent', () => ({
+    ShowToastEvent: class extends CustomEvent {
+        constructor(toast) {
+            super('lightning__showtoast', { detail: toast });
+        }
+    }
+}));
+
+const PAGE_REFERENCE = { type: 'standard__navItemPage', attributes: { apiName: 'Accounts' }, state: {} };
+const ACCOUNTS = [
+    { Id: '001000000000001AAA', Name: 'Acme', Industry: 'Banking' },
+    { Id: '001000000000002AAA', Name: 'Globex', Industry: 'Energy' }
+];
+
+// Lets pending promises and the re-render they cause settle
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Creates the table with the given public properties and loads its first page
+async function createTable(properties) {
+    const element = createElement('c-server-side-lazy-loading-in-data-table-with-load-more-button', {
+        is: ServerSideLazyLoadingInDataTableWithLoadMoreButton
+    });
+    Object.assign(element, properties);
+    document.body.appendChild(element);
+    CurrentPageReference.emit(PAGE_REFERENCE);
+    await flushPromises();
+    return element;
+}
+
+function getDatatable(element) {
+    return element.shadowRoot.querySelector('c-lazy-loading-datatable');
+}
+
+function getSelectAllButton(element) {
+    return element.shadowRoot.querySelector('.selection-bar lightning-button');
+}
+
+describe('c-server-side-lazy-loading-in-data-table-with-load-more-button', () => {
+    beforeEach(() => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: false, totalCount: 2 });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        sessionStorage.clear();
+    });
+
+    it('edits Industry with the values of its picklist', async () => {
+        const element = await createTable();
+
+        getObjectInfo.emit({ defaultRecordTypeId: '012000000000000AAA' });
+        getPicklistValues.emit({
+            values: [
+                { label: 'Banking', value: 'Banking', attributes: null, validFor: [] },
+                { label: 'Energy', value: 'Energy', attributes: null, validFor: [] }
+            ]
+        });
+        await flushPromises();
+
+        const industry = getDatatable(element).columns.find((column) => column.fieldName === 'Industry');
+        expect(industry.type).toBe('picklist');
+        expect(industry.editable).toBe(true);
+        expect(industry.typeAttributes.options).toEqual([
+            { label: 'Banking', value: 'Banking' },
+            { label: 'Energy', value: 'Energy' }
+        ]);
+    });
+
+    it('saves edited Industry values and keeps the edits of the rows that failed', async () => {
+        const element = await createTable();
+        saveAccounts.mockResolvedValue([
+            {
+                recordId: ACCOUNTS[0].Id,
+                success: true,
+                record: { ...ACCOUNTS[0], Industry: 'Energy' },
+                messages: [],
+                fieldNames: []
+            },
+            {
+                recordId: ACCOUNTS[1].Id,
+                success: false,
+                messages: ['bad value for restricted picklist field: Mining'],
+                fieldNames: ['Industry']
+            }
+        ]);
+        const draftValues = [
+            { Id: ACCOUNTS[0].Id, Industry: 'Energy' },
+            { Id: ACCOUNTS[1].Id, Industry: 'Mining' }
+        ];
+
+        getDatatable(element).dispatchEvent(new CustomEvent('save', { detail: { draftValues } }));
+        await flushPromises();
+
+        const datatable = getDatatable(element);
+        expect(saveAccounts).toHaveBeenCalledWith({ accounts: draftValues });
+        expect(datatable.data[0].Industry).toBe('Energy');
+        expect(datatable.draftValues).toEqual([draftValues[1]]);
+        expect(datatable.errors.rows[ACCOUNTS[1].Id].fieldNames).toEqual(['Industry']);
+    });
+
+    it('shows the error of a save that could not reach the server on the whole table', async () => {
+        const element = await createTable();
+        saveAccounts.mockRejectedValue({ body: { message: 'Insufficient access' } });
+
+        getDatatable(element).dispatchEvent(
+            new CustomEvent('save', { detail: { draftValues: [{ Id: ACCOUNTS[0].Id, Industry: 'Energy' }] } })
+        );
+        await flushPromises();
+
+        expect(getDatatable(element).errors.table.messages).toEqual(['Insufficient access']);
+    });
+
+    it('keeps the selected accounts that are not loaded when the loaded rows are selected', async () => {
+        const notLoadedId = '001000000000009AAA';
+        getAccountIds.mockResolvedValue([notLoadedId, ACCOUNTS[0].Id, ACCOUNTS[1].Id]);
+        const element = await createTable({ enableSelection: true });
+        const selectionHandler = jest.fn();
+        element.addEventListener('selectionchange', selectionHandler);
+
+        getSelectAllButton(element).click();
+        await flushPromises();
+        getDatatable(element).dispatchEvent(
+            new CustomEvent('rowselection', { detail: { selectedRows: [ACCOUNTS[1]] } })
+        );
+        await flushPromises();
+
+        expect(getDatatable(element).selectedRows).toEqual([notLoadedId, ACCOUNTS[1].Id]);
+        expect(selectionHandler.mock.calls[1][0].detail).toEqual({ recordIds: [notLoadedId, ACCOUNTS[1].Id] });
+    });
+
+    it('shows a capped count in the select all label and warns that select all left accounts out', async () => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: true, totalCount: 10000, totalCountCapped: true });
+        getAccountIds.mockResolvedValue(ACCOUNTS.map((account) => account.Id));
+        const element = await createTable({ enableSelection: true });
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        expect(getSelectAllButton(element).label).toBe('Select all 10000+');
+        getSelectAllButton(element).click();
+        await flushPromises();
+
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toEqual(
+            expect.objectContaining({ title: 'Selection truncated', variant: 'warning' })
+        );
+    });
+
+    it('does not warn when select all took every account', async () => {
+        getAccountIds.mockResolvedValue(ACCOUNTS.map((account) => account.Id));
+        const element = await createTable({ enableSelection: true });
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        expect(getSelectAllButton(element).label).toBe('Select all 2');
+        getSelectAllButton(element).click();
+        await flushPromises();
+
+        expect(getDatatable(element).selectedRows).toEqual(ACCOUNTS.map((account) => account.Id));
+        expect(toastHandler).not.toHaveBeenCalled();
+    });
+});
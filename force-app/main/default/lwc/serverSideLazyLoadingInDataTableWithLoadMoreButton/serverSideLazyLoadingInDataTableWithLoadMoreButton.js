@@ -1,8 +1,22 @@
 /*serverSideLazyLoadingInDataTableWithLoadMoreButton.js*/
 // Import necessary LWC modules and decorators
-import { LightningElement, track, api } from 'lwc';
+import { LightningElement, track, api, wire } from 'lwc';
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
 // Import Apex method for retrieving account data
 import getAccounts from '@salesforce/apex/LazyLoadingAccountController.getAccountsData';
+// Import Apex method for retrieving the Ids of every account, used to select all
+import getAccountIds from '@salesforce/apex/LazyLoadingAccountController.getAccountIds';
+// Import Apex method for saving the accounts edited inline
+import saveAccounts from '@salesforce/apex/LazyLoadingAccountController.saveAccounts';
+// Import the toast event used to report the outcome of select all and save
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+// Import the wire adapters that read the Industry picklist values offered by the inline editor
+import { getObjectInfo, getPicklistValues } from 'lightning/uiObjectInfoApi';
+import ACCOUNT_OBJECT from '@salesforce/schema/Account';
+import INDUSTRY_FIELD from '@salesforce/schema/Account.Industry';
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, { getErrorMessage, mergeSelection, PageState } from 'c/lazyLoader';
 
 // Define the columns for the datatable
 const COLUMNS = [
@@ -10,94 +24,381 @@ const COLUMNS = [
         label: 'Account Name',
         fieldName: 'Name',
         type: 'text',
-        sortable: false,
+        sortable: true,
+        editable: true,
         hideDefaultActions: true,
     },
     {
         label: 'Industry',
         fieldName: 'Industry',
-        type: 'text',
-        sortable: false,
+        // Edited with a combobox of the picklist values, see c-lazy-loading-datatable
+        type: 'picklist',
+        typeAttributes: { options: [], placeholder: 'Select an industry' },
+        sortable: true,
+        editable: true,
         hideDefaultActions: true,
     }
 ];
 
 // Export the class to handle server-side lazy loading of accounts in a datatable with a "Load More" button
-export default class ServerSideLazyLoadingInDataTableWithLoadMoreButton extends LightningElement {
+export default class ServerSideLazyLoadingInDataTableWithLoadMoreButton extends NavigationMixin(LightningElement) {
     // Reactive property to store account records
     @track accounts = [];
     // Reactive property to define the datatable columns
     @track columns = COLUMNS;
     // Public property to define the number of records per page
     @api pageSize = 5;
-    // Offset for pagination, keeps track of the starting point for the next batch of records
-    offset = 0;
+    // Demo setting: milliseconds of simulated latency added before every server call; off unless set
+    @api simulatedDelay = 0;
+    // Field the accounts are currently sorted by
+    sortedBy = 'Name';
+    // Current sort direction, 'asc' or 'desc'
+    sortDirection = 'asc';
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = '0';
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Public property to opt in to row selection with checkboxes
+    @api enableSelection = false;
+    // Ids of the selected accounts, kept across page loads and including rows not loaded yet
+    selectedIds = [];
+    // Boolean flag to track if the Ids of every account are being fetched
+    isSelectingAll = false;
+    // Total number of accounts, when the server has reported it
+    totalCount = null;
+    // Boolean flag set when the accounts were counted up to the count limit only, so totalCount is a lower bound
+    totalCountCapped = false;
+    // Cells edited inline and not saved yet, one entry per row keyed by Id
+    draftValues = [];
+    // Errors of the last save, per row and for the whole table
+    errors;
+    // Boolean flag to track if the edited cells are being saved
+    isSaving = false;
+    // Shared loader that owns offset and end-of-data detection
+    loader;
     // Boolean flag to track if data is being fetched
     isLoading = false;
     // Boolean flag to check if there are more records available to load
     hasMoreRecords = true;
+    // Keeps the view in step with the page state and caches the loaded pages
+    pageState;
 
     /**
      * Lifecycle hook invoked when the component is inserted into the DOM.
-     * Calls the method to load the initial data.
+     * Creates the loader; loading starts once the page state has been read.
      */
     connectedCallback() {
+        this.loader = new LazyLoader({
+            fetchPage: (params) =>
+                getAccounts({ ...params, sortBy: this.sortedBy, sortDirection: this.sortDirection }),
+            pageSize: this.pageSize,
+            delay: this.simulatedDelay,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () => `serverSideLazyLoadingInDataTableWithLoadMoreButton:${this.sortedBy}:${this.sortDirection}`
+        });
+        this.pageState = new PageState({
+            prefix: 'serverSideLazyLoadingInDataTableWithLoadMoreButton',
+            loader: this.loader,
+            defaults: { sortBy: 'Name', sortDirection: 'asc' },
+            getView: () => ({ sortBy: this.sortedBy, sortDirection: this.sortDirection }),
+            applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+            load: (limitSize) => this.loadData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true)
+        });
+    }
+
+    /**
+     * Lifecycle hook invoked when the component is removed from the DOM.
+     * Caches the loaded pages for when the user comes back.
+     */
+    disconnectedCallback() {
+        this.pageState.disconnect();
+    }
+
+    /**
+     * wiredPageReference method hands the page state to the page state helper, which opens the table
+     * in the view it describes, so a shared link shows the same sort, page size and number of loaded accounts.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
+
+    // Account object info; its default record type selects the Industry picklist values
+    @wire(getObjectInfo, { objectApiName: ACCOUNT_OBJECT })
+    accountInfo;
+
+    /**
+     * wiredIndustryValues method offers the Industry picklist values in the inline editor.
+     * Until they load, or if they cannot be read, the editor offers no values and the cell keeps its value.
+     * @param {Object} result - Picklist values or error from the wire adapter
+     */
+    @wire(getPicklistValues, { recordTypeId: '$accountInfo.data.defaultRecordTypeId', fieldApiName: INDUSTRY_FIELD })
+    wiredIndustryValues({ data }) {
+        if (!data) return;
+        const options = data.values.map(({ label, value }) => ({ label, value }));
+        this.columns = COLUMNS.map((column) => {
+            if (column.fieldName !== 'Industry') return column;
+            return { ...column, typeAttributes: { ...column.typeAttributes, options } };
+        });
+    }
+
+    /**
+     * applyView method shows the sort read from the page state.
+     * @param {Object} view - { sortBy, sortDirection } read from the page state
+     * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+     * @return {void} - This method does not return any value.
+     */
+    applyView({ sortBy, sortDirection }, isFirstView) {
+        // Only columns offered for sorting are taken from the link
+        const sortedBy = COLUMNS.some((column) => column.sortable && column.fieldName === sortBy) ? sortBy : 'Name';
+        if (isFirstView) {
+            this.sortedBy = sortedBy;
+            this.sortDirection = sortDirection;
+        } else {
+            this.applySort(sortedBy, sortDirection);
+        }
+    }
+
+    /**
+     * loadData method fetches the next page of accounts through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of accounts to load, one page unless given
+     * @return {void} - This method does not return any value.
+     */
+    async loadData(limitSize) {
+        await this.loader.loadMore(limitSize);
+        // Request the next page now, so Load More shows it at once
+        this.loader.prefetch();
+    }
+
+    /**
+     * handleSort method re-queries the accounts in the order chosen from a column header.
+     * Clears the loaded rows so paging restarts from the first page of the new order.
+     * @param {event} event - The sort event from the datatable.
+     * @return {void} - This method does not return any value.
+     */
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        this.applySort(fieldName, sortDirection);
+    }
+
+    /**
+     * applySort method reloads the accounts in the given order, from the first page.
+     * @param {string} sortedBy - Field to sort by
+     * @param {string} sortDirection - Sort direction, "asc" or "desc"
+     * @return {void} - This method does not return any value.
+     */
+    applySort(sortedBy, sortDirection) {
+        this.sortedBy = sortedBy;
+        this.sortDirection = sortDirection;
+        // The edited rows may not be loaded in the new order, so unsaved edits are dropped
+        this.draftValues = [];
+        this.errors = undefined;
+        this.loader.reset();
         this.loadData();
     }
 
     /**
-     * loadData method fetches account data from the server.
-     * Prevents additional calls if no more records or already loading.
-     * Handles server response and updates component state.
-     * @param {NA} - No parameters are accepted by this method.
+     * handleSave method saves the cells edited inline in one call.
+     * Saved rows are refreshed in place, without reloading the pages already loaded;
+     * rows that failed keep their edits and show their errors.
+     * A save requested while the previous one is in flight, such as by a double click, is ignored.
+     * @param {event} event - The save event from the datatable.
      * @return {void} - This method does not return any value.
      */
-    async loadData() {
-        // Exit early if all records are loaded or data is currently being fetched
-        if (!this.hasMoreRecords || this.isLoading) return;
-        // Mark the start of data loading
-        this.isLoading = true;
+    async handleSave(event) {
+        if (this.isSaving) return;
+        const draftValues = event.detail.draftValues;
+        let results;
+        this.isSaving = true;
         try {
-            // Simulate a delay for loading to mimic real-time API behavior
-            await this.loadingDelay();
+            results = await saveAccounts({ accounts: draftValues });
+        } catch (error) {
+            this.errors = {
+                table: { title: 'Your changes could not be saved', messages: [getErrorMessage(error)] }
+            };
+            return;
+        } finally {
+            this.isSaving = false;
+        }
 
-            // Call the Apex method to fetch account data
-            const result = await getAccounts({
-                limitSize: this.pageSize,
-                offset: this.offset
-            });
+        const savedRecords = results.filter((result) => result.success).map((result) => result.record);
+        const failedResults = results.filter((result) => !result.success);
+        this.loader.updateRecords(savedRecords);
 
-            if (result.length > 0) {
-                // Append the newly fetched accounts to the existing list
-                this.accounts = [...this.accounts, ...result];
+        // Keep only the edits of the rows that failed, so they can be corrected and saved again
+        const failedIds = new Set(failedResults.map((result) => result.recordId));
+        this.draftValues = draftValues.filter((draft) => failedIds.has(draft.Id));
+        this.errors = failedResults.length ? this.buildSaveErrors(failedResults) : undefined;
 
-                // Update the offset to fetch the next batch of records
-                this.offset += this.pageSize;
+        if (savedRecords.length) {
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: 'Success',
+                    message: `${savedRecords.length} account(s) saved.`,
+                    variant: 'success'
+                })
+            );
+        }
+    }
 
-                // Determine if there are more records to load
-                this.hasMoreRecords = result.length === this.pageSize;
-            } else {
-                // No more records to fetch
-                this.hasMoreRecords = false;
+    /**
+     * handleCancel method discards the cells edited inline and the errors of the last save.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleCancel() {
+        this.draftValues = [];
+        this.errors = undefined;
+    }
+
+    /**
+     * buildSaveErrors method converts failed save results into the errors format of the datatable.
+     * @param {Array} failedResults - Save results of the rows that could not be saved.
+     * @return {Object} - Errors per row, with a summary for the whole table.
+     */
+    buildSaveErrors(failedResults) {
+        const rows = {};
+        failedResults.forEach((result) => {
+            rows[result.recordId] = {
+                title: 'This account could not be saved',
+                messages: result.messages,
+                fieldNames: result.fieldNames
+            };
+        });
+        return {
+            rows,
+            table: {
+                title: `${failedResults.length} account(s) could not be saved`,
+                messages: failedResults.map((result) => result.messages.join(', '))
+            }
+        };
+    }
+
+    /**
+     * handleRowSelection method keeps the selection in step with the checkboxes of the datatable.
+     * Selected accounts that are not loaded, for example after select all, stay selected.
+     * @param {event} event - The rowselection event from the datatable.
+     * @return {void} - This method does not return any value.
+     */
+    handleRowSelection(event) {
+        this.updateSelection(mergeSelection(this.selectedIds, this.accounts, event.detail.selectedRows));
+    }
+
+    /**
+     * handleSelectAll method selects every account, including the ones not loaded yet.
+     * The Ids are resolved on the server, up to the count limit; the user is warned when accounts were left out.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async handleSelectAll() {
+        this.isSelectingAll = true;
+        try {
+            const accountIds = await getAccountIds();
+            this.updateSelection(accountIds);
+            // The Ids are capped like the count, so a capped count means accounts were left out
+            if (this.totalCountCapped) {
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: 'Selection truncated',
+                        message: `Only the first ${accountIds.length} accounts were selected.`,
+                        variant: 'warning'
+                    })
+                );
             }
         } catch (error) {
-            // Log any errors encountered during data fetching
-            console.error("Error loading more accounts:", error);
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: 'Error',
+                    message: 'Could not select all accounts.',
+                    variant: 'error'
+                })
+            );
         } finally {
-            // Mark the end of data loading
-            this.isLoading = false;
+            this.isSelectingAll = false;
+        }
+    }
+
+    /**
+     * handleClearSelection method deselects every account.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleClearSelection() {
+        this.updateSelection([]);
+    }
+
+    /**
+     * updateSelection method stores the new selection and reports it to the parent.
+     * @param {Array} selectedIds - Ids of the selected accounts.
+     * @return {void} - This method does not return any value.
+     */
+    updateSelection(selectedIds) {
+        this.selectedIds = selectedIds;
+        this.dispatchEvent(
+            new CustomEvent('selectionchange', {
+                detail: { recordIds: [...selectedIds] }
+            })
+        );
+    }
+
+    /**
+     * hideCheckboxColumn getter hides the checkboxes unless selection is enabled.
+     * @return {boolean} - True if the checkbox column is hidden.
+     */
+    get hideCheckboxColumn() {
+        return !this.enableSelection;
+    }
+
+    /**
+     * selectedCount getter returns the number of selected accounts.
+     * @return {number} - Number of selected accounts, loaded or not.
+     */
+    get selectedCount() {
+        return this.selectedIds.length;
+    }
+
+    /**
+     * selectAllLabel getter labels the select all action with the number of matching accounts.
+     * @return {string} - Label of the select all action.
+     */
+    get selectAllLabel() {
+        if (this.totalCount === null) {
+            return 'Select all';
         }
+        // A capped count is a lower bound, e.g. "Select all 10000+"
+        return `Select all ${this.totalCount}${this.totalCountCapped ? '+' : ''}`;
     }
 
     /**
-     * loadingDelay method simulates a delay for data fetching.
+     * handleRetry method loads the page that failed again, from where loading stopped.
      * @param {NA} - No parameters are accepted by this method.
-     * @return {Promise} - Resolves after 1 second
+     * @return {void} - This method does not return any value.
+     */
+    handleRetry() {
+        this.loader.retry();
+    }
+
+    /**
+     * handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
      */
-    loadingDelay() {
-        // Simulate a network delay of 1 second
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        return new Promise((resolve) => setTimeout(resolve, 1000));
+    handleLoaderChange(loader) {
+        this.accounts = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.totalCount = loader.totalCount;
+        this.totalCountCapped = loader.totalCountCapped;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
     }
 
     /**
@@ -142,6 +443,15 @@ export default class ServerSideLazyLoadingInDataTableWithLoadMoreButton extends
         });
     }
 
+    /**
+     * showLoadMoreButton getter checks if the Load More button should be offered.
+     * The Retry action of the error panel replaces it while an error is showing.
+     * @return {boolean} - True if more records exist and the last load succeeded.
+     */
+    get showLoadMoreButton() {
+        return !this.allLoaded && !this.errorMessage;
+    }
+
     /**
      * allLoaded getter checks if all records have been loaded.
      * @return {boolean} - True if all records are loaded, false otherwise.
@@ -0,0 +1,136 @@
+import { createElement } from "lwc";
+import ServerSideLazyLoadingInDataTableWithScrollBar from "c/serverSideLazyLoadingInDataTableWithScrollBar";
+import { CurrentPageReference } from "lightning/navigation";
+import getAccounts from "@salesforce/apex/LazyLoadingAccountController.getAccountsData";
+import getAccountIds from "@salesforce/apex/LazyLoadingAccountController.getAccountIds";
+
+jest.mock("@salesforce/apex/LazyLoadingAccountController.getAccountsData", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+jest.mock("@salesforce/apex/LazyLoadingAccountController.getAccountIds", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+// The stub toast event carries no detail, so this one keeps what it was created with
+jest.mock("lightning/platformShowToastEvent", () => ({
+    ShowToastEvent: class extends CustomEvent {
+        constructor(toast) {
+            super("lightning__showtoast", { detail: toast });
+        }
+    }
+}));
+
+const PAGE_REFERENCE = { type: "standard__navItemPage", attributes: { apiName: "Accounts" }, state: {} };
+const ACCOUNTS = [
+    { Id: "001000000000001AAA", Name: "Acme", Industry: "Banking" },
+    { Id: "001000000000002AAA", Name: "Globex", Industry: "Energy" }
+];
+
+// Lets pending promises and the re-render they cause settle
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Creates the table with selection enabled and loads its first page
+async function createTable() {
+    const element = createElement("c-server-side-lazy-loading-in-data-table-with-scroll-bar", {
+        is: ServerSideLazyLoadingInDataTableWithScrollBar
+    });
+    element.enableSelection = true;
+    document.body.appendChild(element);
+    CurrentPageReference.emit(PAGE_REFERENCE);
+    await flushPromises();
+    return element;
+}
+
+// Gives the header 30px and each of the two rows 20px, and the container 500px of content shown 100px at a time
+function mockLayout() {
+    jest.spyOn(Element.prototype, "getBoundingClientRect").mockImplementation(function () {
+        return { height: this.classList.contains("header-probe") ? 30 : 70 };
+    });
+    jest.spyOn(Element.prototype, "scrollHeight", "get").mockReturnValue(500);
+    jest.spyOn(Element.prototype, "clientHeight", "get").mockReturnValue(100);
+}
+
+// Scrolls the container to the given position, as the browser reports it
+function scrollTo(element, scrollTop) {
+    const container = element.shadowRoot.querySelector(".table-container");
+    Object.defineProperty(container, "scrollTop", { value: scrollTop, configurable: true });
+    container.dispatchEvent(new CustomEvent("scroll"));
+}
+
+function getSelectAllButton(element) {
+    return element.shadowRoot.querySelector(".selection-bar lightning-button");
+}
+
+describe("c-server-side-lazy-loading-in-data-table-with-scroll-bar", () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        sessionStorage.clear();
+    });
+
+    it("shows a capped count in the select all label and warns that select all left accounts out", async () => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: true, totalCount: 10000, totalCountCapped: true });
+        getAccountIds.mockResolvedValue(ACCOUNTS.map((account) => account.Id));
+        const element = await createTable();
+        const toastHandler = jest.fn();
+        element.addEventListener("lightning__showtoast", toastHandler);
+
+        expect(getSelectAllButton(element).label).toBe("Select all 10000+");
+        getSelectAllButton(element).click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector(".table-content lightning-datatable").selectedRows).toEqual(
+            ACCOUNTS.map((account) => account.Id)
+        );
+        expect(toastHandler.mock.calls[0][0].detail).toEqual(
+            expect.objectContaining({ title: "Selection truncated", variant: "warning" })
+        );
+    });
+
+    it("shows the exact count in the select all label when every account was counted", async () => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: false, totalCount: 2, totalCountCapped: false });
+
+        const element = await createTable();
+
+        expect(getSelectAllButton(element).label).toBe("Select all 2");
+    });
+
+    it("prefetches the next page once the user scrolls past the prefetch threshold", async () => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: true, totalCount: 4, totalCountCapped: false });
+        mockLayout();
+        const element = await createTable();
+
+        scrollTo(element, 100);
+        await flushPromises();
+        expect(getAccounts).toHaveBeenCalledTimes(1);
+
+        scrollTo(element, 200);
+        await flushPromises();
+        expect(getAccounts).toHaveBeenCalledTimes(2);
+        expect(getAccounts).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 2 }));
+        // The prefetched page is only shown once the user reaches the bottom
+        expect(element.shadowRoot.querySelector(".table-content lightning-datatable").data).toHaveLength(2);
+    });
+
+    it("does not prefetch before the prefetch threshold set on the table", async () => {
+        getAccounts.mockResolvedValue({ records: ACCOUNTS, hasMore: true, totalCount: 4, totalCountCapped: false });
+        mockLayout();
+        const element = createElement("c-server-side-lazy-loading-in-data-table-with-scroll-bar", {
+            is: ServerSideLazyLoadingInDataTableWithScrollBar
+        });
+        element.prefetchThreshold = 90;
+        document.body.appendChild(element);
+        CurrentPageReference.emit(PAGE_REFERENCE);
+        await flushPromises();
+
+        scrollTo(element, 200);
+        await flushPromises();
+
+        expect(getAccounts).toHaveBeenCalledTimes(1);
+    });
+});
@@ -1,100 +1,397 @@
 /*serverSideLazyLoadingInDataTableWithScrollBar.js*/
 // Import necessary LWC modules and decorators
-import { LightningElement } from "lwc";
+import { LightningElement, api, wire } from "lwc";
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 // Import Apex method for retrieving account data
 import getAccounts from "@salesforce/apex/LazyLoadingAccountController.getAccountsData";
+// Import Apex method for retrieving the Ids of every account, used to select all
+import getAccountIds from "@salesforce/apex/LazyLoadingAccountController.getAccountIds";
+// Import the toast event used to report the outcome of select all
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, {
+    mergeSelection,
+    sizeDatatableToVisibleRows,
+    RowSizeObserver,
+    PageState
+} from "c/lazyLoader";
 
 // Define the columns for the datatable
 const columns = [
-    { label: "Name", fieldName: "Name", type: "text", hideDefaultActions: true },
+    { label: "Name", fieldName: "Name", type: "text", sortable: true, hideDefaultActions: true },
     {
         label: "Rating",
         fieldName: "Rating",
         type: "text",
+        sortable: true,
         hideDefaultActions: true
     }
 ];
 
 // Export the class to handle server-side lazy loading of accounts in a datatable with a scroll bar
-export default class ServerSideLazyLoadingInDataTableWithScrollBar extends LightningElement {
+export default class ServerSideLazyLoadingInDataTableWithScrollBar extends NavigationMixin(LightningElement) {
     // Reactive property to store account records
     accounts = [];
     // Reactive property to define the datatable columns
     columns = columns;
     // Number of records per page
     pageSize = 5;
-    // Offset for pagination, keeps track of the starting point for the next batch of records
-    offset = 0;
+    // Public property to define the number of rows the scroll bar shows at once
+    @api visibleRows = 5;
+    // Public property to define how close to the bottom, in pixels, the user scrolls before more rows load
+    @api loadMoreOffset = 20;
+    // Public property to define how far the user scrolls, in percent, before the next page is prefetched
+    @api prefetchThreshold = 50;
+    // Demo setting: milliseconds of simulated latency added before every server call; off unless set
+    @api simulatedDelay = 0;
+    // Field the accounts are currently sorted by
+    sortedBy = "Name";
+    // Current sort direction, "asc" or "desc"
+    sortDirection = "asc";
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = "0";
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Public property to opt in to row selection with checkboxes
+    @api enableSelection = false;
+    // Ids of the selected accounts, kept across page loads and including rows not loaded yet
+    selectedIds = [];
+    // Boolean flag to track if the Ids of every account are being fetched
+    isSelectingAll = false;
+    // Total number of accounts, when the server has reported it
+    totalCount = null;
+    // Boolean flag set when the accounts were counted up to the count limit only, so totalCount is a lower bound
+    totalCountCapped = false;
+    // Shared loader that owns offset and end-of-data detection
+    loader;
     // Boolean flag to check if there are more records available to load
     hasMoreRecords = true;
+    // Keeps the view in step with the page state and caches the loaded pages
+    pageState;
     // Status message for data loading
     loadMoreStatus;
     // Boolean flag to track if data is being fetched
     isLoading = false;
+    // Rows of the hidden datatable measured for the header height, always empty
+    noRows = [];
+    // Height of a row as last measured in pixels, 0 until the container has been sized
+    rowHeight = 0;
+    // Last scroll position of the container, cached with the loaded pages
+    scrollTop = 0;
+    // Scroll position to restore once the cached pages have rendered
+    pendingScrollTop;
+    // Re-measures the rows whenever the datatable changes size, such as when new rows have rendered
+    rowSizeObserver = new RowSizeObserver(() => {
+        this.setScrollableHeight();
+        this.loadMoreIfNearBottom();
+    });
 
     /**
      * Lifecycle hook invoked when the component is inserted into the DOM.
-     * Calls the method to load the initial data.
+     * Creates the loader; loading starts once the page state has been read.
      */
     connectedCallback() {
+        this.loader = new LazyLoader({
+            fetchPage: (params) =>
+                getAccounts({ ...params, sortBy: this.sortedBy, sortDirection: this.sortDirection }),
+            pageSize: this.pageSize,
+            delay: this.simulatedDelay,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () => `serverSideLazyLoadingInDataTableWithScrollBar:${this.sortedBy}:${this.sortDirection}`
+        });
+        this.pageState = new PageState({
+            prefix: "serverSideLazyLoadingInDataTableWithScrollBar",
+            loader: this.loader,
+            defaults: { sortBy: "Name", sortDirection: "asc" },
+            getView: () => ({ sortBy: this.sortedBy, sortDirection: this.sortDirection }),
+            applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+            load: (limitSize) => this.loadData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true),
+            onRestore: (scrollTop) => {
+                this.pendingScrollTop = scrollTop;
+            }
+        });
+    }
+
+    /**
+     * Lifecycle hook invoked after the component has been rendered.
+     * Watches the datatable so the container height follows its rows.
+     */
+    renderedCallback() {
+        this.rowSizeObserver.observe(this.template.querySelector(".table-content"));
+        this.restoreScrollPosition();
+    }
+
+    /**
+     * Lifecycle hook invoked when the component is removed from the DOM.
+     * Stops watching the datatable and caches the loaded pages for when the user comes back.
+     */
+    disconnectedCallback() {
+        this.rowSizeObserver.disconnect();
+        this.pageState.disconnect(this.scrollTop);
+    }
+
+    /**
+     * wiredPageReference method hands the page state to the page state helper, which opens the table
+     * in the view it describes, so a shared link shows the same sort, page size and number of loaded accounts.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
+
+    /**
+     * applyView method shows the sort read from the page state.
+     * @param {Object} view - { sortBy, sortDirection } read from the page state
+     * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+     * @return {void} - This method does not return any value.
+     */
+    applyView({ sortBy, sortDirection }, isFirstView) {
+        // Only columns offered for sorting are taken from the link
+        const sortedBy = columns.some((column) => column.sortable && column.fieldName === sortBy) ? sortBy : "Name";
+        if (isFirstView) {
+            this.sortedBy = sortedBy;
+            this.sortDirection = sortDirection;
+        } else {
+            this.applySort(sortedBy, sortDirection);
+        }
+    }
+
+    /**
+     * loadData method fetches the next page of accounts through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of accounts to load, one page unless given
+     * @return {void} - This method does not return any value.
+     */
+    async loadData(limitSize) {
+        await this.loader.loadMore(limitSize);
+        // Adjust the scrollable container height
+        this.setScrollableHeight();
+        // Rows that do not fill the container leave nothing to scroll, so the next page is loaded right away
+        this.loadMoreIfNearBottom();
+    }
+
+    /**
+     * loadMoreData method loads the next page once the user has scrolled to it.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async loadMoreData() {
+        if (!this.canLoadMore || this.isLoading) return;
+        // Load the next set of data; the loader advances the offset itself
+        await this.loadData();
+    }
+
+    /**
+     * handleScroll method loads more accounts as the user scrolls towards the bottom of the container.
+     * The datatable grows with its rows, so the container is what scrolls.
+     * @param {event} event - The scroll event from the container.
+     * @return {void} - This method does not return any value.
+     */
+    handleScroll(event) {
+        // Remember the position so it can be restored with the cached pages
+        this.scrollTop = event.target.scrollTop;
+        this.loadMoreIfNearBottom();
+    }
+
+    /**
+     * restoreScrollPosition method scrolls the restored rows back into view once they are rendered.
+     * The container is sized first, as until then it does not scroll.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    restoreScrollPosition() {
+        const scrollableContainer = this.template.querySelector(".table-container");
+        if (scrollableContainer && this.pendingScrollTop !== undefined && this.rowHeight && this.accounts.length) {
+            scrollableContainer.scrollTop = this.pendingScrollTop;
+            this.pendingScrollTop = undefined;
+        }
+    }
+
+    /**
+     * loadMoreIfNearBottom method loads the next page when the container is scrolled to within loadMoreOffset pixels
+     * of its bottom, and prefetches it once the user passes the prefetch threshold.
+     * Nothing is loaded before the container has been sized, as it would otherwise never scroll.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    loadMoreIfNearBottom() {
+        const scrollableContainer = this.template.querySelector(".table-container");
+        if (!scrollableContainer || !this.rowHeight) return;
+        const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        if (scrollHeight - scrollTop - clientHeight <= this.loadMoreOffset) {
+            this.loadMoreData();
+        } else if (((scrollTop + clientHeight) / scrollHeight) * 100 >= this.prefetchThreshold) {
+            // Past the threshold, request the next page so it shows at once when the bottom is reached
+            this.loader.prefetch();
+        }
+    }
+
+    /**
+     * handleSort method re-queries the accounts in the order chosen from a column header.
+     * Clears the loaded rows and scrolls back to the top so paging restarts from the first page of the new order.
+     * @param {event} event - The sort event from the datatable.
+     * @return {void} - This method does not return any value.
+     */
+    handleSort(event) {
+        const { fieldName, sortDirection } = event.detail;
+        this.applySort(fieldName, sortDirection);
+    }
+
+    /**
+     * applySort method reloads the accounts in the given order, from the first page.
+     * @param {string} sortedBy - Field to sort by
+     * @param {string} sortDirection - Sort direction, "asc" or "desc"
+     * @return {void} - This method does not return any value.
+     */
+    applySort(sortedBy, sortDirection) {
+        this.sortedBy = sortedBy;
+        this.sortDirection = sortDirection;
+        this.loader.reset();
+        const scrollableContainer = this.template.querySelector(".table-container");
+        if (scrollableContainer) {
+            scrollableContainer.scrollTop = 0;
+        }
         this.loadData();
     }
 
     /**
-     * loadData method fetches account data from the server.
-     * Prevents additional calls if no more records or already loading.
-     * Handles server response and updates component state.
+     * handleRowSelection method keeps the selection in step with the checkboxes of the datatable.
+     * Selected accounts that are not loaded, for example after select all, stay selected.
+     * @param {event} event - The rowselection event from the datatable.
+     * @return {void} - This method does not return any value.
+     */
+    handleRowSelection(event) {
+        this.updateSelection(mergeSelection(this.selectedIds, this.accounts, event.detail.selectedRows));
+    }
+
+    /**
+     * handleSelectAll method selects every account, including the ones not loaded yet.
+     * The Ids are resolved on the server, up to the count limit; the user is warned when accounts were left out.
      * @param {NA} - No parameters are accepted by this method.
      * @return {void} - This method does not return any value.
      */
-    async loadData() {
-        // Exit early if no records left or already loading
-        if (!this.hasMoreRecords || this.isLoading) return;
-        // Mark the start of data loading
-        this.isLoading = true;
+    async handleSelectAll() {
+        this.isSelectingAll = true;
         try {
-            // Call the Apex method to fetch account data
-            const result = await getAccounts({
-                limitSize: this.pageSize, // Number of records to fetch
-                offset: this.offset // Starting point for fetching
-            });
-            if (result) {
-                // Append the newly fetched accounts to the existing list
-                this.accounts = [...this.accounts, ...result];
-                // Update the flag to determine if there are more records to load
-                this.hasMoreRecords = result.length === this.pageSize;
-                // Update the loading status message
-                this.loadMoreStatus = this.hasMoreRecords
-                    ? "Loading accounts...."
-                    : "No more records to load";
-                // Adjust the scrollable container height
-                this.setScrollableHeight();
+            const accountIds = await getAccountIds();
+            this.updateSelection(accountIds);
+            // The Ids are capped like the count, so a capped count means accounts were left out
+            if (this.totalCountCapped) {
+                this.dispatchEvent(
+                    new ShowToastEvent({
+                        title: "Selection truncated",
+                        message: `Only the first ${accountIds.length} accounts were selected.`,
+                        variant: "warning"
+                    })
+                );
             }
         } catch (error) {
-            // Log any errors encountered during data fetching
-            console.error("Error loading more accounts:", error);
-            this.loadMoreStatus = "Error loading data";
+            this.dispatchEvent(
+                new ShowToastEvent({
+                    title: "Error",
+                    message: "Could not select all accounts.",
+                    variant: "error"
+                })
+            );
         } finally {
-            // Mark the end of data loading
-            this.isLoading = false;
+            this.isSelectingAll = false;
         }
     }
 
     /**
-     * loadMoreData method triggers loading of the next set of data when the user scrolls or interacts.
-     * @param {event} event - The event object from the interaction.
+     * handleClearSelection method deselects every account.
+     * @param {NA} - No parameters are accepted by this method.
      * @return {void} - This method does not return any value.
      */
-    async loadMoreData(event) {
-        let target = event.target;
-        // Indicate the loading process on the target
-        target.isLoading = true;
-        // Increment the offset for the next batch of records
-        this.offset += this.pageSize;
-        // Load the next set of data
-        await this.loadData();
-        // Indicate the end of loading process on the target
-        target.isLoading = false;
+    handleClearSelection() {
+        this.updateSelection([]);
+    }
+
+    /**
+     * updateSelection method stores the new selection and reports it to the parent.
+     * @param {Array} selectedIds - Ids of the selected accounts.
+     * @return {void} - This method does not return any value.
+     */
+    updateSelection(selectedIds) {
+        this.selectedIds = selectedIds;
+        this.dispatchEvent(
+            new CustomEvent("selectionchange", {
+                detail: { recordIds: [...selectedIds] }
+            })
+        );
+    }
+
+    /**
+     * hideCheckboxColumn getter hides the checkboxes unless selection is enabled.
+     * @return {boolean} - True if the checkbox column is hidden.
+     */
+    get hideCheckboxColumn() {
+        return !this.enableSelection;
+    }
+
+    /**
+     * selectedCount getter returns the number of selected accounts.
+     * @return {number} - Number of selected accounts, loaded or not.
+     */
+    get selectedCount() {
+        return this.selectedIds.length;
+    }
+
+    /**
+     * selectAllLabel getter labels the select all action with the number of matching accounts.
+     * @return {string} - Label of the select all action.
+     */
+    get selectAllLabel() {
+        if (this.totalCount === null) {
+            return "Select all";
+        }
+        // A capped count is a lower bound, e.g. "Select all 10000+"
+        return `Select all ${this.totalCount}${this.totalCountCapped ? "+" : ""}`;
+    }
+
+    /**
+     * handleRetry method loads the page that failed again, from where loading stopped.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async handleRetry() {
+        await this.loader.retry();
+        // Adjust the scrollable container height
+        this.setScrollableHeight();
+    }
+
+    /**
+     * handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
+     */
+    handleLoaderChange(loader) {
+        this.accounts = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.totalCount = loader.totalCount;
+        this.totalCountCapped = loader.totalCountCapped;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
+        // Update the loading status message
+        this.loadMoreStatus = this.hasMoreRecords ? "Loading accounts...." : "No more records to load";
+    }
+
+    /**
+     * canLoadMore getter checks if more rows should load when the container is scrolled to the bottom.
+     * Infinite loading is paused while an error is showing.
+     * @return {boolean} - True if more records exist and the last load succeeded.
+     */
+    get canLoadMore() {
+        return this.hasMoreRecords && !this.errorMessage;
     }
 
     /**
@@ -107,22 +404,24 @@ export default class ServerSideLazyLoadingInDataTableWithScrollBar extends Light
     }
 
     /**
-     * setScrollableHeight method dynamically sets the height of the scrollable container.
-     * Ensures consistent visual appearance based on the number of records.
+     * setScrollableHeight method sets the height of the scrollable container to show visibleRows rows.
+     * The datatable rows cannot be reached from here, so their height is derived from the height of the datatable.
      * @param {NA} - No parameters are accepted by this method.
      * @return {void} - This method does not return any value.
      */
     setScrollableHeight() {
         const scrollableContainer = this.template.querySelector(".table-container");
-        if (scrollableContainer) {
-            // Approximate height of each row; adjust as needed per requirement
-            // e.g. for 3 rows - 38.2 will work
-            // for 5 row - 34 will work
-            const rowHeight = 34.5;
-            // Calculate the container height
-            const calculatedHeight = this.pageSize * rowHeight;
-            // Apply the height
-            scrollableContainer.style.height = `${calculatedHeight}px`;
+        const datatable = this.template.querySelector(".table-content");
+        const emptyDatatable = this.template.querySelector(".header-probe");
+        if (scrollableContainer && datatable && emptyDatatable) {
+            this.rowHeight = sizeDatatableToVisibleRows(
+                scrollableContainer,
+                datatable,
+                emptyDatatable,
+                this.accounts.length,
+                this.visibleRows
+            );
+            this.restoreScrollPosition();
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,331 @@
+/*serverSideLazyLoadingInGenericDataTable.js*/
+// Import necessary LWC modules and decorators
+import { LightningElement, api, wire } from "lwc";
+// Import the wire adapter that provides object and field metadata
+import { getObjectInfo } from "lightning/uiObjectInfoApi";
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
+// Import Apex method for retrieving records of any object
+import getRecords from "@salesforce/apex/LazyLoadingRecordController.getRecordsData";
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, {
+    sizeDatatableToVisibleRows,
+    RowSizeObserver,
+    PageState
+} from "c/lazyLoader";
+
+// Datatable column types for the field data types that should not be shown as plain text
+const COLUMN_TYPES = {
+    Boolean: "boolean",
+    Currency: "currency",
+    Date: "date-local",
+    DateTime: "date",
+    Double: "number",
+    Email: "email",
+    Int: "number",
+    Percent: "number",
+    Phone: "phone",
+    Url: "url"
+};
+
+// Export the class to handle server-side lazy loading of any object's records in a datatable with a scroll bar
+export default class ServerSideLazyLoadingInGenericDataTable extends NavigationMixin(LightningElement) {
+    // Public property to define the API name of the object to list
+    @api objectApiName = "Account";
+    // Public property to define the comma-separated API names of the fields shown as columns
+    @api fieldApiNames = "Name,Industry";
+    // Public property to define the sort field, optionally followed by ASC or DESC
+    @api orderBy = "Name";
+    // Public property to define the number of records per page
+    @api pageSize = 5;
+    // Public property to define the number of rows the scroll bar shows at once
+    @api visibleRows = 5;
+    // Public property to define how close to the bottom, in pixels, the user scrolls before more rows load
+    @api loadMoreOffset = 20;
+    // Public property to define how far the user scrolls, in percent, before the next page is prefetched
+    @api prefetchThreshold = 50;
+    // Demo setting: milliseconds of simulated latency added before every server call; off unless set
+    @api simulatedDelay = 0;
+    // Reactive property to store the loaded records
+    records = [];
+    // Object metadata used to label and type the columns
+    objectInfo;
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = "0";
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Shared loader that owns offset and end-of-data detection
+    loader;
+    // Boolean flag to check if there are more records available to load
+    hasMoreRecords = true;
+    // Keeps the view in step with the page state and caches the loaded pages
+    pageState;
+    // Status message for data loading
+    loadMoreStatus;
+    // Boolean flag to track if data is being fetched
+    isLoading = false;
+    // Rows of the hidden datatable measured for the header height, always empty
+    noRows = [];
+    // Height of a row as last measured in pixels, 0 until the container has been sized
+    rowHeight = 0;
+    // Last scroll position of the container, cached with the loaded pages
+    scrollTop = 0;
+    // Scroll position to restore once the cached pages have rendered
+    pendingScrollTop;
+    // Re-measures the rows whenever the datatable changes size, such as when new rows have rendered
+    rowSizeObserver = new RowSizeObserver(() => {
+        this.setScrollableHeight();
+        this.loadMoreIfNearBottom();
+    });
+
+    /**
+     * Wire method to get the metadata of the configured object.
+     * @param {Object} result - The wired object info or error.
+     */
+    @wire(getObjectInfo, { objectApiName: "$objectApiName" })
+    wiredObjectInfo({ data, error }) {
+        if (data) {
+            this.objectInfo = data;
+        } else if (error) {
+            // Columns fall back to the raw API names without metadata
+            this.objectInfo = undefined;
+        }
+    }
+
+    /**
+     * Lifecycle hook invoked when the component is inserted into the DOM.
+     * Creates the loader; loading starts once the page state has been read.
+     */
+    connectedCallback() {
+        this.loader = new LazyLoader({
+            fetchPage: (params) =>
+                getRecords({
+                    ...params,
+                    objectApiName: this.objectApiName,
+                    fieldApiNames: this.fields,
+                    orderBy: this.orderBy
+                }),
+            pageSize: this.pageSize,
+            delay: this.simulatedDelay,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () =>
+                `serverSideLazyLoadingInGenericDataTable:${this.objectApiName}:${this.fields.join(",")}:${this.orderBy}`
+        });
+        this.pageState = new PageState({
+            prefix: `serverSideLazyLoadingInGenericDataTable_${this.objectApiName}`,
+            loader: this.loader,
+            load: (limitSize) => this.loadData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true),
+            onRestore: (scrollTop) => {
+                this.pendingScrollTop = scrollTop;
+            }
+        });
+    }
+
+    /**
+     * Lifecycle hook invoked after the component has been rendered.
+     * Watches the datatable so the container height follows its rows.
+     */
+    renderedCallback() {
+        this.rowSizeObserver.observe(this.template.querySelector(".table-content"));
+        this.restoreScrollPosition();
+    }
+
+    /**
+     * Lifecycle hook invoked when the component is removed from the DOM.
+     * Stops watching the datatable and caches the loaded pages for when the user comes back.
+     */
+    disconnectedCallback() {
+        this.rowSizeObserver.disconnect();
+        this.pageState.disconnect(this.scrollTop);
+    }
+
+    /**
+     * wiredPageReference method hands the page state to the page state helper, which opens the table
+     * in the view it describes, so a shared link shows the same page size and number of loaded records.
+     * The object, fields and order come from the component configuration, not from the link.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
+
+    /**
+     * fields getter splits the configured field list into API names.
+     * @return {Array} - Trimmed, non-empty field API names.
+     */
+    get fields() {
+        return (this.fieldApiNames || "")
+            .split(",")
+            .map((fieldApiName) => fieldApiName.trim())
+            .filter((fieldApiName) => fieldApiName);
+    }
+
+    /**
+     * columns getter builds the datatable columns from the configured fields and the object metadata.
+     * @return {Array} - Datatable column definitions.
+     */
+    get columns() {
+        const fieldInfos = Object.values(this.objectInfo?.fields || {});
+        return this.fields.map((fieldApiName) => {
+            // Field names are case-insensitive in App Builder, so match the metadata the same way
+            const field = fieldInfos.find((info) => info.apiName.toLowerCase() === fieldApiName.toLowerCase());
+            return {
+                label: field ? field.label : fieldApiName,
+                fieldName: field ? field.apiName : fieldApiName,
+                type: (field && COLUMN_TYPES[field.dataType]) || "text",
+                hideDefaultActions: true
+            };
+        });
+    }
+
+    /**
+     * cardTitle getter uses the object's plural label once the metadata is available.
+     * @return {string} - Title of the card.
+     */
+    get cardTitle() {
+        return `Server Side Lazy Loading In ${this.objectInfo?.labelPlural || this.objectApiName} DataTable - LWC`;
+    }
+
+    /**
+     * loadData method fetches the next page of records through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of records to load, one page unless given
+     * @return {void} - This method does not return any value.
+     */
+    async loadData(limitSize) {
+        await this.loader.loadMore(limitSize);
+        // Adjust the scrollable container height
+        this.setScrollableHeight();
+        // Rows that do not fill the container leave nothing to scroll, so the next page is loaded right away
+        this.loadMoreIfNearBottom();
+    }
+
+    /**
+     * loadMoreData method loads the next page once the user has scrolled to it.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async loadMoreData() {
+        if (!this.canLoadMore || this.isLoading) return;
+        // Load the next set of data; the loader advances the offset itself
+        await this.loadData();
+    }
+
+    /**
+     * handleScroll method loads more records as the user scrolls towards the bottom of the container.
+     * The datatable grows with its rows, so the container is what scrolls.
+     * @param {event} event - The scroll event from the container.
+     * @return {void} - This method does not return any value.
+     */
+    handleScroll(event) {
+        // Remember the position so it can be restored with the cached pages
+        this.scrollTop = event.target.scrollTop;
+        this.loadMoreIfNearBottom();
+    }
+
+    /**
+     * restoreScrollPosition method scrolls the restored rows back into view once they are rendered.
+     * The container is sized first, as until then it does not scroll.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    restoreScrollPosition() {
+        const scrollableContainer = this.template.querySelector(".table-container");
+        if (scrollableContainer && this.pendingScrollTop !== undefined && this.rowHeight && this.records.length) {
+            scrollableContainer.scrollTop = this.pendingScrollTop;
+            this.pendingScrollTop = undefined;
+        }
+    }
+
+    /**
+     * loadMoreIfNearBottom method loads the next page when the container is scrolled to within loadMoreOffset pixels
+     * of its bottom, and prefetches it once the user passes the prefetch threshold.
+     * Nothing is loaded before the container has been sized, as it would otherwise never scroll.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    loadMoreIfNearBottom() {
+        const scrollableContainer = this.template.querySelector(".table-container");
+        if (!scrollableContainer || !this.rowHeight) return;
+        const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        if (scrollHeight - scrollTop - clientHeight <= this.loadMoreOffset) {
+            this.loadMoreData();
+        } else if (((scrollTop + clientHeight) / scrollHeight) * 100 >= this.prefetchThreshold) {
+            // Past the threshold, request the next page so it shows at once when the bottom is reached
+            this.loader.prefetch();
+        }
+    }
+
+    /**
+     * handleRetry method loads the page that failed again, from where loading stopped.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    async handleRetry() {
+        await this.loader.retry();
+        // Adjust the scrollable container height
+        this.setScrollableHeight();
+    }
+
+    /**
+     * handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
+     */
+    handleLoaderChange(loader) {
+        this.records = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
+        // Update the loading status message
+        this.loadMoreStatus = this.hasMoreRecords ? "Loading records...." : "No more records to load";
+    }
+
+    /**
+     * canLoadMore getter checks if more rows should load when the container is scrolled to the bottom.
+     * Infinite loading is paused while an error is showing.
+     * @return {boolean} - True if more records exist and the last load succeeded.
+     */
+    get canLoadMore() {
+        return this.hasMoreRecords && !this.errorMessage;
+    }
+
+    /**
+     * allLoaded getter checks if all records have been loaded.
+     * @return {boolean} - True if all records are loaded, false otherwise.
+     */
+    get allLoaded() {
+        // Returns true if there are no more records to load and at least one record is present
+        return !this.hasMoreRecords && this.records.length > 0;
+    }
+
+    /**
+     * setScrollableHeight method sets the height of the scrollable container to show visibleRows rows.
+     * The datatable rows cannot be reached from here, so their height is derived from the height of the datatable.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    setScrollableHeight() {
+        const scrollableContainer = this.template.querySelector(".table-container");
+        const datatable = this.template.querySelector(".table-content");
+        const emptyDatatable = this.template.querySelector(".header-probe");
+        if (scrollableContainer && datatable && emptyDatatable) {
+            this.rowHeight = sizeDatatableToVisibleRows(
+                scrollableContainer,
+                datatable,
+                emptyDatatable,
+                this.records.length,
+                this.visibleRows
+            );
+            this.restoreScrollPosition();
+        }
+    }
+}
@@ -1,88 +1,165 @@
 /*serverSideLazyLoadingInHtmlTableWithLoadMoreButton.js*/
 // Import necessary LWC modules and decorators
-import { LightningElement, track, api } from 'lwc';
+import { LightningElement, track, api, wire } from 'lwc';
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
 // Import Apex method for retrieving contact data
 import getContacts from '@salesforce/apex/LazyLoadingContactController.getContactsData';
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, { debounce, PageState } from 'c/lazyLoader';
+
+// Milliseconds to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+
+// Columns written to the CSV export, matching the table headers
+const EXPORT_COLUMNS = [
+    { label: 'First Name', fieldName: 'FirstName' },
+    { label: 'Last Name', fieldName: 'LastName' },
+    { label: 'Email', fieldName: 'Email' }
+];
 
 // Export the class to handle server-side lazy loading of contacts in an HTML table with a "Load More" button
-export default class ServerSideLazyLoadingInHtmlTableWithLoadMoreButton extends LightningElement {
+export default class ServerSideLazyLoadingInHtmlTableWithLoadMoreButton extends NavigationMixin(LightningElement) {
     // Reactive property to store contact records
     @track contacts = [];
+    // Columns written to the CSV export
+    exportColumns = EXPORT_COLUMNS;
     // Public property to define the number of records per page
     @api pageSize = 5;
-    // Offset for pagination, keeps track of the starting point for the next batch of records
-    offset = 0;
+    // Demo setting: milliseconds of simulated latency added before every server call; off unless set
+    @api simulatedDelay = 0;
+    // Term the contact names are filtered by
+    searchTerm = '';
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = '0';
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Shared loader that owns offset, end-of-data detection and serial numbering
+    loader;
     // Boolean flag to track if data is being fetched
     isLoading = false;
     // Boolean flag to check if there are more records available to load
     hasMoreRecords = true;
+    // Keeps the search in step with the page state and caches the loaded pages
+    pageState;
 
     /**
      * Lifecycle hook invoked when the component is inserted into the DOM.
-     * Calls the method to load the initial data.
+     * Creates the loader; loading starts once the page state has been read.
      */
     connectedCallback() {
-        this.loadInitialData();
+        this.loader = new LazyLoader({
+            fetchPage: (params) => getContacts({ ...params, searchTerm: this.searchTerm }),
+            pageSize: this.pageSize,
+            delay: this.simulatedDelay,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () => `serverSideLazyLoadingInHtmlTableWithLoadMoreButton:${this.searchTerm}`
+        });
+        this.pageState = new PageState({
+            prefix: 'serverSideLazyLoadingInHtmlTableWithLoadMoreButton',
+            loader: this.loader,
+            defaults: { searchTerm: '' },
+            getView: () => ({ searchTerm: this.searchTerm }),
+            applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+            load: (limitSize) => this.loadInitialData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true)
+        });
+        // Search once the user stops typing
+        this.debouncedSearch = debounce((searchTerm) => this.applySearch(searchTerm), SEARCH_DELAY);
     }
 
     /**
-     * loadInitialData method fetches contact data from the server.
-     * Prevents additional calls if no more records or already loading.
-     * Handles server response and updates component state.
-     * @param {NA} - No parameters are accepted by this method.
-     * @return {void} - This method does not return any value.
+     * Lifecycle hook invoked when the component is removed from the DOM.
+     * Caches the loaded pages for when the user comes back.
      */
-    async loadInitialData() {
-        if (!this.hasMoreRecords || this.isLoading) return;
-
-        this.isLoading = true; // Mark the start of data loading
-        try {
-            // Simulate a delay for loading to mimic real-time API behavior
-            await this.loadingDelay();
-
-            // Call the Apex method to fetch contact data
-            const result = await getContacts({
-                limitSize: this.pageSize,
-                offset: this.offset
-            });
+    disconnectedCallback() {
+        this.pageState.disconnect();
+    }
 
-            if (result.length > 0) {
-                // Process the fetched contacts to add serial numbers
-                const newContacts = this.processContacts(result, this.contacts.length);
+    /**
+     * wiredPageReference method hands the page state to the page state helper, which opens the table in the view
+     * it describes, so a shared link shows the same search, page size and number of loaded contacts.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
 
-                // Append the newly fetched contacts to the existing list
-                this.contacts = [...this.contacts, ...newContacts];
+    /**
+     * applyView method shows the search read from the page state.
+     * @param {Object} view - { searchTerm } read from the page state
+     * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+     * @return {void} - This method does not return any value.
+     */
+    applyView({ searchTerm }, isFirstView) {
+        if (isFirstView) {
+            this.searchTerm = searchTerm;
+        } else {
+            this.applySearch(searchTerm);
+        }
+    }
 
-                // Update the offset to fetch the next batch of records
-                this.offset += this.pageSize;
+    /**
+     * loadInitialData method fetches the next page of contacts through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of contacts to load, one page unless given
+     * @return {void} - This method does not return any value.
+     */
+    async loadInitialData(limitSize) {
+        await this.loader.loadMore(limitSize);
+        // Request the next page now, so Load More shows it at once
+        this.loader.prefetch();
+    }
 
-                // Determine if there are more records to load
-                this.hasMoreRecords = result.length === this.pageSize;
-            } else {
-                // No more records to fetch
-                this.hasMoreRecords = false;
-            }
+    /**
+     * handleSearchChange method passes the typed term to the debounced search.
+     * @param {event} event - The change event from the search input.
+     * @return {void} - This method does not return any value.
+     */
+    handleSearchChange(event) {
+        this.debouncedSearch(event.target.value);
+    }
 
-            // Optionally update the scrollable container height
-            // this.updateScrollableHeight();
-        } catch (error) {
-            // Log any errors encountered during data fetching
-            console.error('Error loading more contacts:', error);
-        } finally {
-            // Mark the end of data loading
-            this.isLoading = false;
-        }
+    /**
+     * applySearch method reloads the contacts filtered by the new term.
+     * Clears the loaded rows so paging restarts from the first page of the results.
+     * @param {string} searchTerm - Term the contact names must contain.
+     * @return {void} - This method does not return any value.
+     */
+    applySearch(searchTerm) {
+        // Nothing to do when the term has not changed
+        if (searchTerm === this.searchTerm) return;
+        this.searchTerm = searchTerm;
+        this.loader.reset();
+        this.loadInitialData();
     }
 
     /**
-     * loadingDelay method simulates a delay for data fetching.
+     * handleRetry method loads the page that failed again, from where loading stopped.
      * @param {NA} - No parameters are accepted by this method.
-     * @return {Promise} - Resolves after 1 second
+     * @return {void} - This method does not return any value.
      */
-    loadingDelay() {
-        // Simulate a network delay of 1 second
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        return new Promise((resolve) => setTimeout(resolve, 1000));
+    handleRetry() {
+        this.loader.retry();
+    }
+
+    /**
+     * handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
+     */
+    handleLoaderChange(loader) {
+        this.contacts = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
     }
 
     /**
@@ -114,6 +191,15 @@ export default class ServerSideLazyLoadingInHtmlTableWithLoadMoreButton extends
         });
     }
 
+    /**
+     * showLoadMoreButton getter checks if the Load More button should be offered.
+     * The Retry action of the error panel replaces it while an error is showing.
+     * @return {boolean} - True if more records exist and the last load succeeded.
+     */
+    get showLoadMoreButton() {
+        return !this.allLoaded && !this.errorMessage;
+    }
+
     /**
      * allLoaded getter checks if all records have been loaded.
      * @return {boolean} - True if all records are loaded, false otherwise.
@@ -123,19 +209,6 @@ export default class ServerSideLazyLoadingInHtmlTableWithLoadMoreButton extends
         return !this.hasMoreRecords && this.contacts.length > 0;
     }
 
-    /**
-     * processContacts method adds serial numbers to each contact record.
-     * @param {Array} contacts - Array of contact records fetched from the server.
-     * @param {number} currentLength - Current number of records in the contacts array.
-     * @return {Array} - Processed array of contact records with serial numbers added.
-     */
-    processContacts(contacts, currentLength) {
-        return contacts.map((contact, index) => ({
-            ...contact,
-            serialNumber: currentLength + index + 1,
-        }));
-    }
-
     /**
      * scrollToTop method scrolls the page back to the top.
      * Uses smooth scrolling for a better user experience.
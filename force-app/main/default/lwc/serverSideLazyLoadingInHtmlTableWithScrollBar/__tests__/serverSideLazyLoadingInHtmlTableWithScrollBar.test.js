@@ -0,0 +1,88 @@
+import { createElement } from "lwc";
+import ServerSideLazyLoadingInHtmlTableWithScrollBar from "c/serverSideLazyLoadingInHtmlTableWithScrollBar";
+import { CurrentPageReference } from "lightning/navigation";
+import getContacts from "@salesforce/apex/LazyLoadingContactController.getContactsData";
+
+jest.mock("@salesforce/apex/LazyLoadingContactController.getContactsData", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+
+const PAGE_REFERENCE = { type: "standard__navItemPage", attributes: { apiName: "Contacts" }, state: {} };
+
+// Builds a page of contacts starting after the given offset
+function contactsPage(offset, limitSize, hasMore) {
+    const records = Array.from({ length: limitSize }, (item, index) => ({
+        Id: `003${String(offset + index).padStart(15, "0")}`,
+        LastName: `Contact ${offset + index}`
+    }));
+    return { records, hasMore };
+}
+
+// Lets pending promises and the re-render they cause settle
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Lets every page that loads without user interaction arrive
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await flushPromises();
+    }
+}
+
+// Creates the table with the given public properties and loads its first rows
+async function createTable(properties) {
+    const element = createElement("c-server-side-lazy-loading-in-html-table-with-scroll-bar", {
+        is: ServerSideLazyLoadingInHtmlTableWithScrollBar
+    });
+    Object.assign(element, properties);
+    document.body.appendChild(element);
+    CurrentPageReference.emit(PAGE_REFERENCE);
+    await settle();
+    return element;
+}
+
+describe("c-server-side-lazy-loading-in-html-table-with-scroll-bar", () => {
+    let scrollHeight;
+
+    beforeEach(() => {
+        // jsdom does no layout, so every row reports a height of 30px and the container the given scroll height
+        jest.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue({ top: 0, bottom: 30, height: 30 });
+        scrollHeight = 0;
+        jest.spyOn(Element.prototype, "scrollHeight", "get").mockImplementation(() => scrollHeight);
+        jest.spyOn(Element.prototype, "clientHeight", "get").mockReturnValue(150);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.restoreAllMocks();
+        getContacts.mockReset();
+        sessionStorage.clear();
+    });
+
+    it("keeps loading while the rows do not fill the container", async () => {
+        getContacts
+            .mockResolvedValueOnce(contactsPage(0, 5, true))
+            .mockResolvedValueOnce(contactsPage(5, 5, true))
+            .mockResolvedValueOnce(contactsPage(10, 2, false));
+
+        const element = await createTable({ pageSize: 5, visibleRows: 10 });
+
+        expect(getContacts).toHaveBeenCalledTimes(3);
+        expect(getContacts).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 10 }));
+        expect(element.shadowRoot.querySelectorAll("tbody tr")).toHaveLength(12);
+    });
+
+    it("stops loading once the rows overflow the container", async () => {
+        scrollHeight = 600;
+        getContacts.mockResolvedValue(contactsPage(0, 5, true));
+
+        await createTable({ pageSize: 5, visibleRows: 3 });
+
+        expect(getContacts).toHaveBeenCalledTimes(1);
+    });
+});
@@ -1,99 +1,164 @@
 /*serverSideLazyLoadingInHtmlTableWithScrollBar.js*/
 // Import necessary LWC modules and decorators
-import { LightningElement, track, api } from "lwc";
+import { LightningElement, track, api, wire } from "lwc";
+// Provides the page state the view of the table is read from and written to
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 // Import Apex method for retrieving contact data
 import getContacts from "@salesforce/apex/LazyLoadingContactController.getContactsData";
+// Import the shared paging state used by every lazy-loading table
+import LazyLoader, {
+    debounce,
+    sizeToVisibleRows,
+    RowSizeObserver,
+    PageState
+} from "c/lazyLoader";
+
+// Milliseconds to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+// Distance in pixels from the bottom of the container at which the next page is loaded
+const LOAD_MORE_BUFFER = 10;
+
+// Columns written to the CSV export, matching the table headers
+const EXPORT_COLUMNS = [
+    { label: "First Name", fieldName: "FirstName" },
+    { label: "Last Name", fieldName: "LastName" },
+    { label: "Email", fieldName: "Email" }
+];
 
 // Export the class to handle server-side lazy loading of contacts in an HTML table with a scroll bar
-export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends LightningElement {
+export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends NavigationMixin(LightningElement) {
     // Reactive property to store contact records
     @track contacts = [];
+    // Columns written to the CSV export
+    exportColumns = EXPORT_COLUMNS;
     // Public property to define the number of records per page
     @api pageSize = 5;
-    // Offset for pagination, keeps track of the starting point for the next batch of records
-    offset = 0;
+    // Public property to define the number of rows the scroll bar shows at once
+    @api visibleRows = 5;
+    // Public property to define how far the user scrolls, in percent, before the next page is prefetched
+    @api prefetchThreshold = 50;
+    // Demo setting: milliseconds of simulated latency added before every server call; off unless set
+    @api simulatedDelay = 0;
+    // Term the contact names are filtered by
+    searchTerm = "";
+    // Number of records loaded, out of the total when it is known
+    loadedCountLabel = "0";
+    // Share of the matching records that is loaded, in percent
+    loadedPercent = 0;
+    // Message of the last failed load, shown with a Retry action
+    errorMessage;
+    // Shared loader that owns offset, end-of-data detection and serial numbering
+    loader;
     // Boolean flag to track if data is being fetched
     isLoading = false;
     // Boolean flag to check if there are more records available to load
     hasMoreRecords = true;
+    // Measured height of a contact row in px, 0 until the first row has rendered
+    rowHeight = 0;
+    // Re-measures the rows whenever the table changes size
+    rowSizeObserver = new RowSizeObserver(() => {
+        this.setScrollableHeight();
+        this.loadMoreIfNearBottom();
+    });
+    // Last scroll position of the container, cached with the loaded pages
+    scrollTop = 0;
+    // Scroll position to restore once the cached pages have rendered
+    pendingScrollTop;
+    // Keeps the view in step with the page state and caches the loaded pages
+    pageState;
 
     /**
      * @description - connectedCallback lifecycle hook invoked when the component is inserted into the DOM.
-     * Calls the method to load the initial data.
+     * Creates the loader; loading starts once the page state has been read.
      */
     connectedCallback() {
-        // Load initial data when the component is initialized
-        this.loadInitialData();
+        // Create the loader that pages through contacts on the server
+        this.loader = new LazyLoader({
+            fetchPage: (params) => getContacts({ ...params, searchTerm: this.searchTerm }),
+            pageSize: this.pageSize,
+            delay: this.simulatedDelay,
+            onChange: (loader) => this.handleLoaderChange(loader),
+            cacheKey: () => `serverSideLazyLoadingInHtmlTableWithScrollBar:${this.searchTerm}`
+        });
+        this.pageState = new PageState({
+            prefix: "serverSideLazyLoadingInHtmlTableWithScrollBar",
+            loader: this.loader,
+            defaults: { searchTerm: "" },
+            getView: () => ({ searchTerm: this.searchTerm }),
+            applyView: (view, isFirstView) => this.applyView(view, isFirstView),
+            load: (limitSize) => this.loadInitialData(limitSize),
+            navigate: (pageRef) => this[NavigationMixin.Navigate](pageRef, true),
+            onRestore: (scrollTop) => {
+                this.pendingScrollTop = scrollTop;
+            }
+        });
+        // Search once the user stops typing
+        this.debouncedSearch = debounce((searchTerm) => this.applySearch(searchTerm), SEARCH_DELAY);
+    }
+
+    /**
+     * @description - wiredPageReference method hands the page state to the page state helper, which opens the table
+     * in the view it describes, so a shared link shows the same search, page size and number of loaded contacts.
+     * @param {Object} pageRef - The current page reference
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageState.handlePageReference(pageRef);
+    }
+
+    /**
+     * @description - applyView method shows the search read from the page state.
+     * @param {Object} view - { searchTerm } read from the page state
+     * @param {boolean} isFirstView - True when the table opens, before anything is loaded
+     * @return {void} - This method does not return any value.
+     */
+    applyView({ searchTerm }, isFirstView) {
+        if (isFirstView) {
+            this.searchTerm = searchTerm;
+        } else {
+            this.applySearch(searchTerm);
+        }
     }
 
     /**
      * @description - renderedCallback lifecycle hook invoked after the component has been rendered.
-     * Calls the method to set the scrollable height.
+     * Watches the table so the scrollable height follows its rows, and keeps loading while the rows
+     * do not fill the container.
      */
     renderedCallback() {
+        this.rowSizeObserver.observe(this.template.querySelector(".scrollable table"));
         // set the scrollable height after the component is rendered
         this.setScrollableHeight();
+        // Scroll the restored rows back into view once they are rendered
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (scrollableContainer && this.pendingScrollTop !== undefined && this.contacts.length) {
+            scrollableContainer.scrollTop = this.pendingScrollTop;
+            this.pendingScrollTop = undefined;
+        }
+        // Rows that do not fill the container leave nothing to scroll, so the next page is loaded right away
+        this.loadMoreIfNearBottom();
     }
 
     /**
-     * @description - loadInitialData method fetches contact data from the server.
-     * Prevents additional calls if no more records or already loading.
-     * Handles server response and updates component state.
-     * @param {NA} - No parameters are accepted by this method.
-     * @return {void} - This method does not return any value.
+     * @description - disconnectedCallback lifecycle hook invoked when the component is removed from the DOM.
+     * Stops watching the table and caches the loaded pages for when the user comes back.
      */
-    async loadInitialData() {
-        // Exit early if all records are loaded or data is currently being fetched
-        if (!this.hasMoreRecords || this.isLoading) return;
-        // Mark the start of data loading
-        this.isLoading = true;
-        try {
-            // Simulate a delay for loading to mimic real-time API behavior
-            await this.loadingDelay();
-
-            // Call the Apex method to fetch contact data
-            const result = await getContacts({
-                limitSize: this.pageSize,
-                offset: this.offset
-            });
-
-            if (result.length > 0) {
-                // Process the fetched contacts and add serial numbers
-                const newContacts = this.processcontacts(result, this.contacts.length);
-
-                // Update the contact list with newly fetched records
-                this.contacts = [...this.contacts, ...newContacts];
-
-                // Update the offset to fetch the next batch of records
-                this.offset += this.pageSize;
-
-                // Determine if there are more records to load
-                this.hasMoreRecords = result.length === this.pageSize;
-
-                // Adjust the scrollable container height dynamically
-                this.setScrollableHeight();
-            } else {
-                // No more records to fetch
-                this.hasMoreRecords = false;
-            }
-        } catch (error) {
-            // Log any errors encountered during data fetching
-            console.error("Error loading more contacts:", error);
-        } finally {
-            // Mark the end of data loading
-            this.isLoading = false;
-        }
+    disconnectedCallback() {
+        this.rowSizeObserver.disconnect();
+        this.pageState.disconnect(this.scrollTop);
     }
 
     /**
-     * @description - loadingDelay method simulates a delay for data fetching.
-     * @param {NA} - No parameters are accepted by this method.
-     * @return {Promise} - Resolves after 1 second
+     * @description - loadInitialData method fetches the next page of contacts through the shared loader.
+     * The loader prevents additional calls if no more records or already loading.
+     * @param {number} limitSize - Number of contacts to load, one page unless given
+     * @return {void} - This method does not return any value.
      */
-    loadingDelay() {
-        // Simulate a network delay of 1 second
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        return new Promise((resolve) => setTimeout(resolve, 1000));
+    async loadInitialData(limitSize) {
+        // Let the loader fetch, number and append the next batch of contacts
+        await this.loader.loadMore(limitSize);
+        // Adjust the scrollable container height dynamically
+        this.setScrollableHeight();
     }
 
     /**
@@ -107,6 +172,54 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
         this.loadInitialData();
     }
 
+    /**
+     * @description - handleSearchChange method passes the typed term to the debounced search.
+     * @param {event} event - The change event from the search input.
+     * @return {void} - This method does not return any value.
+     */
+    handleSearchChange(event) {
+        this.debouncedSearch(event.target.value);
+    }
+
+    /**
+     * @description - applySearch method reloads the contacts filtered by the new term.
+     * Clears the loaded rows so paging restarts from the first page of the results.
+     * @param {string} searchTerm - Term the contact names must contain.
+     * @return {void} - This method does not return any value.
+     */
+    applySearch(searchTerm) {
+        // Nothing to do when the term has not changed
+        if (searchTerm === this.searchTerm) return;
+        this.searchTerm = searchTerm;
+        this.loader.reset();
+        this.loadInitialData();
+    }
+
+    /**
+     * @description - handleRetry method loads the page that failed again, from where loading stopped.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    handleRetry() {
+        this.loader.retry();
+    }
+
+    /**
+     * @description - handleLoaderChange method mirrors the loader state into the reactive fields.
+     * @param {LazyLoader} loader - The loader whose state changed
+     * @return {void} - This method does not return any value.
+     */
+    handleLoaderChange(loader) {
+        this.contacts = loader.records;
+        this.isLoading = loader.isLoading;
+        this.loadedCountLabel = loader.loadedCountLabel;
+        this.loadedPercent = loader.loadedPercent;
+        this.errorMessage = loader.errorMessage;
+        this.hasMoreRecords = loader.hasMoreRecords;
+        // Keep the URL in step once the rows have settled
+        this.pageState.update();
+    }
+
     /**
      * allLoaded getter checks if all records have been loaded.
      * @return {boolean} - True if all records are loaded, false otherwise.
@@ -116,22 +229,6 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
         return !this.hasMoreRecords && this.contacts.length > 0;
     }
 
-    /**
-     * @description - processcontacts method processes the fetched contacts.
-     * Adds a serial number to each contact for display purposes.
-     * @param {Array} contacts - Array of contact records
-     * @param {number} currentLength - Current number of records
-     * @return {Array} - Processed contacts with serial numbers
-     */
-    processcontacts(contacts, currentLength) {
-        // Map each contact and add a serial number based on the current contact count
-        return contacts.map((contact, index) => ({
-            ...contact,
-            // Calculate serial number starting from current length
-            serialNumber: currentLength + index + 1
-        }));
-    }
-
     /**
      * @description - handleScroll method handles scroll events on the container.
      * Triggers loading of more data when near the bottom of the container.
@@ -140,8 +237,6 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
      * @return {void} - This method does not return any value.
      */
     handleScroll() {
-        // declare a buffer to trigger loading more data before reaching the bottom
-        const buffer = 10;
         // declare a scrollable container
         const scrollableContainer = this.template.querySelector(".scrollable");
 
@@ -153,11 +248,16 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
         // scrollHeight is the total height of the content in the element, including content not visible
         // clientHeight is the height of the visible content in the element
         const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        // Remember the position so it can be restored with the cached pages
+        this.scrollTop = scrollTop;
 
         // Check if the user has scrolled near the bottom of the container
-        if (scrollHeight - scrollTop - clientHeight < buffer && !this.isLoading) {
+        if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER && !this.isLoading) {
             // If the user has scrolled near the bottom, load more data
             this.loadMoreData();
+        } else if (((scrollTop + clientHeight) / scrollHeight) * 100 >= this.prefetchThreshold) {
+            // Past the threshold, request the next page so it shows at once when the bottom is reached
+            this.loader.prefetch();
         }
 
         // Show or hide the "Back to Top" button based on the scroll position
@@ -167,6 +267,22 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
         backToTopButton.style.display = scrollTop > 20 ? "block" : "none";
     }
 
+    /**
+     * @description - loadMoreIfNearBottom method loads the next page when the container is scrolled to within
+     * LOAD_MORE_BUFFER pixels of its bottom, which is also the case while the rows do not fill the container.
+     * Nothing is loaded before a row has been measured, as the container has no height until then.
+     * @param {NA} - No parameters are accepted by this method.
+     * @return {void} - This method does not return any value.
+     */
+    loadMoreIfNearBottom() {
+        const scrollableContainer = this.template.querySelector(".scrollable");
+        if (!scrollableContainer || !this.rowHeight || this.isLoading || !this.hasMoreRecords) return;
+        const { scrollTop, scrollHeight, clientHeight } = scrollableContainer;
+        if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_BUFFER) {
+            this.loadMoreData();
+        }
+    }
+
     /**
      * @description - scrollToTop method scrolls the container back to the top.
      * Uses smooth scrolling for a better user experience.
@@ -188,9 +304,8 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
     }
 
     /**
-     * setScrollableHeight method dynamically sets the height of the scrollable container.
-     * Ensures consistent visual appearance based on the number of records.
-     * Make sure set the row height in px according to your page size.
+     * setScrollableHeight method sets the height of the scrollable container to show visibleRows rows.
+     * The rows are measured as rendered, so the height follows fonts, density and wrapped text.
      * @param {NA} - No parameters are accepted by this method.
      * @return {void} - This method does not return any value.
      */
@@ -200,31 +315,11 @@ export default class ServerSideLazyLoadingInHtmlTableWithScrollBar extends Light
 
         // If the scrollable container is not found, exit the method
         if (scrollableContainer) {
-            // Find the first table row to measure its height
-            const firstRow = scrollableContainer.querySelector("tbody tr");
-
-            // If the first row is found, calculate the height of the scrollable container
-            if (firstRow) {
-                // Set the row height based on the page size
-                let rowHeight = 36;
-                // If the page size is less than 9, set a specific height
-                if (this.pageSize < 9) {
-                    // Add a small offset to the row height for better spacing
-                    rowHeight = firstRow.getBoundingClientRect().height + 4.8;
-                } else if (this.pageSize < 12) {
-                    // If the page size is less than 12, set a different height
-                    rowHeight = 31;
-                } else {
-                    // For larger page sizes, set a standard height
-                    rowHeight = 30;
-                }
-
-                // Calculate the total height of the scrollable container based on the page size and row height
-                const calculatedHeight = this.pageSize * rowHeight;
-
-                // Set the height of the scrollable container dynamically
-                scrollableContainer.style.height = `${calculatedHeight}px`;
-            }
+            this.rowHeight = sizeToVisibleRows(
+                scrollableContainer,
+                scrollableContainer.querySelector("table"),
+                this.visibleRows
+            );
         }
     }
 }
\ No newline at end of file
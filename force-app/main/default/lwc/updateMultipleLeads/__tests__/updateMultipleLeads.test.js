@@ -0,0 +1,48 @@
+import { createElement } from "lwc";
+import UpdateMultipleLeads from "c/updateMultipleLeads";
+import { CurrentPageReference } from "lightning/navigation";
+
+const mockNavigate = jest.fn();
+
+// The stub navigation mixin ignores navigation, so this one reports it
+jest.mock("lightning/navigation", () => {
+    const { createTestWireAdapter } = require("@salesforce/wire-service-jest-util");
+    const Navigate = Symbol("Navigate");
+    const NavigationMixin = (Base) =>
+        class extends Base {
+            [Navigate](pageReference, replace) {
+                mockNavigate(pageReference, replace);
+            }
+        };
+    NavigationMixin.Navigate = Navigate;
+    return { CurrentPageReference: createTestWireAdapter(jest.fn()), NavigationMixin };
+});
+
+describe("c-update-multiple-leads", () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        mockNavigate.mockReset();
+    });
+
+    it("opens the Mass Update page for the leads of a former link", () => {
+        const element = createElement("c-update-multiple-leads", { is: UpdateMultipleLeads });
+        document.body.appendChild(element);
+
+        CurrentPageReference.emit({
+            type: "standard__component",
+            attributes: { componentName: "c__updateMultipleLeads" },
+            state: { c__recordIds: "00Q5g00000AbCdE", c__fieldSet: "MassUpdate" }
+        });
+
+        expect(mockNavigate).toHaveBeenCalledWith(
+            {
+                type: "standard__component",
+                attributes: { componentName: "c__updateMultipleRecordsPage" },
+                state: { c__recordIds: "00Q5g00000AbCdE", c__fieldSet: "MassUpdate", c__objectApiName: "Lead" }
+            },
+            true
+        );
+    });
+});
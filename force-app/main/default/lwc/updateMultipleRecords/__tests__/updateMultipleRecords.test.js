@@ -0,0 +1,251 @@
+import { createElement } from "lwc";
+import UpdateMultipleRecords from "c/updateMultipleRecords";
+import { CurrentPageReference } from "lightning/navigation";
+import { getObjectInfo } from "lightning/uiObjectInfoApi";
+import LightningConfirm from "lightning/confirm";
+import saveRecords from "@salesforce/apex/UpdateMultipleRecordsController.saveRecords";
+import undoUpdate from "@salesforce/apex/UpdateMultipleRecordsController.undoUpdate";
+
+jest.mock("@salesforce/apex/UpdateMultipleRecordsController.saveRecords", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+jest.mock("@salesforce/apex/UpdateMultipleRecordsController.undoUpdate", () => ({ default: jest.fn() }), {
+    virtual: true
+});
+
+// Session storage key the component keeps the last mass update under
+const UNDO_STORAGE_KEY = "updateMultipleRecords.lastUpdate";
+
+const LEAD_INFO = {
+    keyPrefix: "00Q",
+    labelPlural: "Leads",
+    fields: {
+        FirstName: { apiName: "FirstName", dataType: "String", updateable: true, required: false },
+        LastName: { apiName: "LastName", dataType: "String", updateable: true, required: true },
+        Company: { apiName: "Company", dataType: "String", updateable: true, required: true }
+    }
+};
+
+// A lead ID as passed in the URL, and the 18 character ID the record APIs key the lead by
+const SHORT_LEAD_ID = "00Q5g00000AbCdE";
+const LEAD_ID = "00Q5g00000AbCdEEAV";
+
+// IDs of further leads, for pages that edit several records
+const OTHER_LEAD_IDS = ["00Q5g00000XyZwVEAV", "00Q5g00000AAAAAAAA", "00Q5g00000BBBBBAAA"];
+
+// Lets pending promises and the re-render they cause settle
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Creates the page for the given page state, with the lead metadata loaded
+async function createPage(state) {
+    const element = createElement("c-update-multiple-records", { is: UpdateMultipleRecords });
+    document.body.appendChild(element);
+    CurrentPageReference.emit({ type: "standard__component", attributes: {}, state });
+    getObjectInfo.emit(LEAD_INFO);
+    await flushPromises();
+    return element;
+}
+
+function getForms(element) {
+    return [...element.shadowRoot.querySelectorAll("lightning-record-edit-form.record-form")];
+}
+
+// Loads a record form with the given values, keyed like the record APIs by the 18 character ID
+function loadForm(form, recordId, values) {
+    const fields = {};
+    Object.keys(values).forEach((fieldApiName) => {
+        fields[fieldApiName] = { value: values[fieldApiName] };
+    });
+    form.dispatchEvent(new CustomEvent("load", { detail: { records: { [recordId]: { fields } } } }));
+    form.querySelectorAll("lightning-input-field").forEach((inputField) => {
+        inputField.value = values[inputField.fieldName];
+        inputField.reportValidity = () => true;
+    });
+}
+
+// Types a value into a field of a record form
+function editField(form, fieldApiName, value) {
+    const inputField = form.querySelector(`lightning-input-field[data-field="${fieldApiName}"]`);
+    inputField.value = value;
+    inputField.dispatchEvent(new CustomEvent("change"));
+}
+
+function getSaveButton(element) {
+    return [...element.shadowRoot.querySelectorAll("lightning-button")].find((button) =>
+        button.label.startsWith("Save")
+    );
+}
+
+describe("c-update-multiple-records", () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.restoreAllMocks();
+        saveRecords.mockReset();
+        undoUpdate.mockReset();
+        sessionStorage.clear();
+    });
+
+    it("marks a record as changed until its value is typed back", async () => {
+        const element = await createPage({ c__objectApiName: "Lead", c__recordIds: LEAD_ID });
+        const unsavedChangeHandler = jest.fn();
+        element.addEventListener("unsavedchange", unsavedChangeHandler);
+        const [form] = getForms(element);
+        loadForm(form, LEAD_ID, { FirstName: "Pat", LastName: "Lee", Company: "Acme" });
+
+        editField(form, "Company", "Globex");
+        await flushPromises();
+
+        expect(getSaveButton(element).label).toBe("Save 1 change");
+        expect(getSaveButton(element).disabled).toBe(false);
+        expect(element.shadowRoot.querySelectorAll("lightning-badge")).toHaveLength(1);
+        expect(unsavedChangeHandler.mock.calls[0][0].detail).toEqual({ hasUnsavedChanges: true });
+
+        editField(form, "Company", "Acme");
+        await flushPromises();
+
+        expect(getSaveButton(element).label).toBe("Save 0 changes");
+        expect(getSaveButton(element).disabled).toBe(true);
+        expect(element.shadowRoot.querySelectorAll("lightning-badge")).toHaveLength(0);
+        expect(unsavedChangeHandler.mock.calls[1][0].detail).toEqual({ hasUnsavedChanges: false });
+    });
+
+    it("saves only the changed fields of the changed records", async () => {
+        const [otherLeadId] = OTHER_LEAD_IDS;
+        saveRecords.mockResolvedValue([{ recordId: LEAD_ID, success: true }]);
+        const element = await createPage({ c__objectApiName: "Lead", c__recordIds: `${LEAD_ID},${otherLeadId}` });
+        const [form, otherForm] = getForms(element);
+        loadForm(form, LEAD_ID, { FirstName: "Pat", LastName: "Lee", Company: "Acme" });
+        loadForm(otherForm, otherLeadId, { FirstName: "Sam", LastName: "Roe", Company: "Initech" });
+
+        editField(form, "Company", "Globex");
+        await flushPromises();
+        getSaveButton(element).click();
+        await flushPromises();
+
+        expect(saveRecords).toHaveBeenCalledTimes(1);
+        expect(saveRecords.mock.calls[0][0].records).toEqual([{ sobjectType: "Lead", Id: LEAD_ID, Company: "Globex" }]);
+    });
+
+    it("saves the changed records in chunks and keeps the edits of a chunk that failed", async () => {
+        const recordIds = [LEAD_ID, ...OTHER_LEAD_IDS.slice(0, 2)];
+        saveRecords
+            .mockResolvedValueOnce([
+                { recordId: recordIds[0], success: true },
+                { recordId: recordIds[1], success: true }
+            ])
+            .mockRejectedValueOnce({ body: { message: "Insufficient access" } });
+        const element = await createPage({ c__objectApiName: "Lead", c__recordIds: recordIds.join(",") });
+        element.chunkSize = 2;
+        element.maxConcurrentChunks = 1;
+        getForms(element).forEach((form, index) => {
+            loadForm(form, recordIds[index], { FirstName: "Pat", LastName: "Lee", Company: "Acme" });
+            editField(form, "Company", `Globex ${index}`);
+        });
+        await flushPromises();
+
+        getSaveButton(element).click();
+        await flushPromises();
+
+        expect(saveRecords).toHaveBeenCalledTimes(2);
+        expect(saveRecords.mock.calls[0][0].records.map((record) => record.Id)).toEqual(recordIds.slice(0, 2));
+        expect(saveRecords.mock.calls[1][0].records.map((record) => record.Id)).toEqual(recordIds.slice(2));
+        // Only the record of the failed chunk is still changed, with the error on its row
+        expect(getSaveButton(element).label).toBe("Save 1 change");
+        const errors = [...element.shadowRoot.querySelectorAll('[role="alert"]')];
+        expect(errors.map((error) => error.textContent.trim())).toEqual(["Insufficient access"]);
+    });
+
+    it("runs no more chunks at the same time than allowed", async () => {
+        const recordIds = [LEAD_ID, ...OTHER_LEAD_IDS];
+        const pendingSaves = [];
+        saveRecords.mockImplementation(
+            ({ records }) =>
+                new Promise((resolve) => {
+                    pendingSaves.push(() =>
+                        resolve(records.map((record) => ({ recordId: record.Id, success: true })))
+                    );
+                })
+        );
+        const element = await createPage({ c__objectApiName: "Lead", c__recordIds: recordIds.join(",") });
+        element.chunkSize = 1;
+        element.maxConcurrentChunks = 2;
+        getForms(element).forEach((form, index) => {
+            loadForm(form, recordIds[index], { FirstName: "Pat", LastName: "Lee", Company: "Acme" });
+            editField(form, "Company", `Globex ${index}`);
+        });
+        await flushPromises();
+
+        getSaveButton(element).click();
+        await flushPromises();
+        expect(saveRecords).toHaveBeenCalledTimes(2);
+
+        pendingSaves[0]();
+        await flushPromises();
+        expect(saveRecords).toHaveBeenCalledTimes(3);
+
+        pendingSaves.slice(1).forEach((resolveSave) => resolveSave());
+        await flushPromises();
+        pendingSaves.slice(3).forEach((resolveSave) => resolveSave());
+        await flushPromises();
+        expect(saveRecords).toHaveBeenCalledTimes(4);
+        expect(getSaveButton(element).label).toBe("Save 0 changes");
+    });
+
+    it("keeps the loaded values of records passed by their 15 character ID for the undo", async () => {
+        saveRecords.mockResolvedValue([{ recordId: LEAD_ID, success: true }]);
+        const element = await createPage({ c__objectApiName: "Lead", c__recordIds: SHORT_LEAD_ID });
+
+        const [form] = getForms(element);
+        expect(form.dataset.id).toBe(LEAD_ID);
+        loadForm(form, LEAD_ID, { FirstName: "Pat", LastName: "Lee", Company: "Acme" });
+        editField(form, "Company", "Globex");
+        await flushPromises();
+        getSaveButton(element).click();
+        await flushPromises();
+
+        expect(saveRecords).toHaveBeenCalledWith({
+            objectApiName: "Lead",
+            records: [{ sobjectType: "Lead", Id: LEAD_ID, Company: "Globex" }]
+        });
+        const lastUpdate = JSON.parse(sessionStorage.getItem(UNDO_STORAGE_KEY));
+        expect(lastUpdate.previousRecords).toEqual([{ sobjectType: "Lead", Id: LEAD_ID, Company: "Acme" }]);
+        expect(lastUpdate.updatedRecords).toEqual([{ sobjectType: "Lead", Id: LEAD_ID, Company: "Globex" }]);
+    });
+
+    it("restores the previous values of the last mass update from the Undo link", async () => {
+        const previousRecords = [{ sobjectType: "Lead", Id: LEAD_ID, Company: "Acme" }];
+        const updatedRecords = [{ sobjectType: "Lead", Id: LEAD_ID, Company: "Globex" }];
+        sessionStorage.setItem(
+            UNDO_STORAGE_KEY,
+            JSON.stringify({ undoId: "undo1", objectApiName: "Lead", previousRecords, updatedRecords })
+        );
+        jest.spyOn(LightningConfirm, "open").mockResolvedValue(true);
+        undoUpdate.mockResolvedValue([{ recordId: LEAD_ID, success: true }]);
+
+        await createPage({ c__objectApiName: "Lead", c__undo: "undo1" });
+        await flushPromises();
+
+        expect(undoUpdate).toHaveBeenCalledWith({ objectApiName: "Lead", previousRecords, updatedRecords });
+        // An update is only undone once
+        expect(sessionStorage.getItem(UNDO_STORAGE_KEY)).toBeNull();
+    });
+
+    it("does not undo an update the user did not confirm", async () => {
+        sessionStorage.setItem(
+            UNDO_STORAGE_KEY,
+            JSON.stringify({ undoId: "undo1", objectApiName: "Lead", previousRecords: [], updatedRecords: [] })
+        );
+        jest.spyOn(LightningConfirm, "open").mockResolvedValue(false);
+
+        await createPage({ c__objectApiName: "Lead", c__undo: "undo1" });
+        await flushPromises();
+
+        expect(undoUpdate).not.toHaveBeenCalled();
+        expect(sessionStorage.getItem(UNDO_STORAGE_KEY)).not.toBeNull();
+    });
+});
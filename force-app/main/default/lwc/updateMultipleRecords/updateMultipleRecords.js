@@ -0,0 +1,811 @@
+// Import necessary modules and mixins
+import { LightningElement, api, wire } from "lwc";
+// Provides access to the current page's state
+import { CurrentPageReference } from "lightning/navigation";
+// Used for showing toast notifications
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+// NavigationMixin to enable navigation in Salesforce Lightning
+import { NavigationMixin } from "lightning/navigation";
+// Provides the object metadata: key prefix, field labels, types and required-ness
+import { getObjectInfo } from "lightning/uiObjectInfoApi";
+// Apex method that saves all edited records in one operation
+import saveRecords from "@salesforce/apex/UpdateMultipleRecordsController.saveRecords";
+// Apex method that resolves a selection handed over as c__selectionKey
+import getSelectedRecordIds from "@salesforce/apex/UpdateMultipleRecordsController.getSelectedRecordIds";
+// Apex method that writes back the values overwritten by a mass update
+import undoUpdate from "@salesforce/apex/UpdateMultipleRecordsController.undoUpdate";
+// Apex method that lists the fields of a field set
+import getFieldSetFields from "@salesforce/apex/UpdateMultipleRecordsController.getFieldSetFields";
+// Used to confirm leaving the page with unsaved edits
+import LightningConfirm from "lightning/confirm";
+
+// Object edited when the page state does not name one
+const DEFAULT_OBJECT_API_NAME = "Lead";
+// Fields edited when the page state names neither fields nor a field set, per object
+const DEFAULT_FIELDS = {
+    Lead: ["FirstName", "LastName", "Company"],
+    Contact: ["FirstName", "LastName", "Email"],
+    Opportunity: ["Name", "StageName", "CloseDate"]
+};
+// Fields edited for other objects when the page state names neither fields nor a field set
+const FALLBACK_FIELDS = ["Name"];
+// List view shown after saving when the page state does not name the one the user came from
+const DEFAULT_RETURN_FILTER = "Recent";
+// Default number of records saved per Apex call
+const DEFAULT_CHUNK_SIZE = 50;
+// Default number of Apex calls running at the same time
+const DEFAULT_MAX_CONCURRENT_CHUNKS = 2;
+// Session storage key of the last mass update, kept so it can be undone from the success toast
+const UNDO_STORAGE_KEY = "updateMultipleRecords.lastUpdate";
+// Shape of a 15 or 18 character record ID
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+// Field types that get a full row, as they are too wide for a column
+const WIDE_FIELD_TYPES = ["TextArea", "Address"];
+// Characters of the case-insensitive suffix of an 18 character record ID
+const ID_SUFFIX_CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ012345";
+
+/**
+ * Turns a 15 character record ID into the 18 character one the record APIs key records by.
+ * Each suffix character encodes which of five characters of the ID are upper case.
+ * @param {string} recordId - Record ID of 15 or 18 characters
+ * @return {string} - The 18 character record ID
+ */
+function toEighteenCharacterId(recordId) {
+    if (recordId.length !== 15) {
+        return recordId;
+    }
+    let suffix = "";
+    for (let start = 0; start < 15; start += 5) {
+        let flags = 0;
+        for (let index = 0; index < 5; index++) {
+            const character = recordId.charAt(start + index);
+            if (character >= "A" && character <= "Z") {
+                flags += 1 << index;
+            }
+        }
+        suffix += ID_SUFFIX_CHARACTERS.charAt(flags);
+    }
+    return recordId + suffix;
+}
+
+/**
+ * Compares a field value with its loaded value; empty values are all the same, numbers match their text
+ * @param {*} value - Current value of the input field
+ * @param {*} originalValue - Value loaded with the record
+ * @return {boolean} - True if the value is unchanged
+ */
+function isSameValue(value, originalValue) {
+    return String(value ?? "") === String(originalValue ?? "");
+}
+
+/**
+ * Splits records into chunks of at most the given size
+ * @param {Array} records - Records to split
+ * @param {number} chunkSize - Maximum number of records per chunk
+ * @return {Array} - Chunks in the order of the records
+ */
+function toChunks(records, chunkSize) {
+    const chunks = [];
+    for (let start = 0; start < records.length; start += chunkSize) {
+        chunks.push(records.slice(start, start + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * Processes chunks with at most the given number running at the same time.
+ * Each worker takes the next chunk as soon as its current one is done.
+ * @param {Array} chunks - Chunks to process
+ * @param {number} maxConcurrent - Maximum number of chunks processed at the same time
+ * @param {Function} processChunk - Called with a chunk; resolves once the chunk is done
+ * @return {Promise} - Resolves once every chunk is done
+ */
+function processChunks(chunks, maxConcurrent, processChunk) {
+    let nextIndex = 0;
+    const worker = async () => {
+        if (nextIndex >= chunks.length) return;
+        const chunk = chunks[nextIndex++];
+        await processChunk(chunk);
+        await worker();
+    };
+    const workerCount = Math.max(1, Math.min(maxConcurrent, chunks.length));
+    return Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+export default class UpdateMultipleRecords extends NavigationMixin(LightningElement) {
+    // Public property to define the number of records saved per Apex call
+    @api chunkSize = DEFAULT_CHUNK_SIZE;
+    // Public property to define the number of Apex calls running at the same time
+    @api maxConcurrentChunks = DEFAULT_MAX_CONCURRENT_CHUNKS;
+
+    // API name of the edited object, passed as c__objectApiName; set from the page state before metadata is wired
+    objectApiName;
+    // Holds the array of record IDs passed as c__recordIds, before they are checked against the object
+    requestedRecordIds = [];
+    // List view filter the user came from, passed as c__returnFilter
+    returnFilter = DEFAULT_RETURN_FILTER;
+    // API names of the fields listed in c__fields or in the field set, if any
+    configuredFieldApiNames;
+    // Name of the field set passed as c__fieldSet, if any
+    fieldSetName;
+    // Object metadata, used to check the record IDs and the fields and to mark fields required
+    objectInfo;
+    // Boolean set when the object metadata could not be loaded
+    objectInfoFailed = false;
+    // Save error messages keyed by record ID, from the last Update All
+    rowErrors = {};
+    // Boolean to track if the records are being saved
+    isSaving = false;
+    // Number of records in the running save
+    saveTotal = 0;
+    // Number of records of the running save that were saved
+    savedCount = 0;
+    // Number of records of the running save that failed
+    failedCount = 0;
+    // Records saved by the running save, with the values they were saved with
+    savedRecords = [];
+    // ID of the mass update to undo, passed as c__undo by the Undo link of the success toast
+    undoId;
+    // Boolean to track if a mass update is being undone
+    isUndoing = false;
+    // IDs of the records ticked to receive the "Apply to" values; all records receive them when none is ticked
+    selectedRecordIds = [];
+    // Field values as loaded with each record, keyed by record ID then field API name
+    originalValues = {};
+    // API names of the changed fields, keyed by record ID
+    changedFields = {};
+    // Unsaved state last reported to the page container with an unsavedchange event
+    reportedUnsavedChanges = false;
+    // Browser prompt shown when the tab is closed or reloaded with unsaved edits
+    handleBeforeUnload = (event) => {
+        if (this.hasUnsavedChanges) {
+            event.preventDefault();
+            event.returnValue = "";
+        }
+    };
+
+    connectedCallback() {
+        window.addEventListener("beforeunload", this.handleBeforeUnload);
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener("beforeunload", this.handleBeforeUnload);
+    }
+
+    // The beforeunload prompt only covers closing or reloading the tab. Navigation inside Lightning is guarded by
+    // the updateMultipleRecordsPage container, which is told here whenever edits start or stop being unsaved.
+    renderedCallback() {
+        if (this.hasUnsavedChanges !== this.reportedUnsavedChanges) {
+            this.reportedUnsavedChanges = this.hasUnsavedChanges;
+            this.dispatchEvent(
+                new CustomEvent("unsavedchange", { detail: { hasUnsavedChanges: this.hasUnsavedChanges } })
+            );
+        }
+    }
+
+    // Wire method to get current page state parameters
+    @wire(CurrentPageReference)
+    getStateParameters(currentPageReference) {
+        if (currentPageReference) {
+            const state = currentPageReference.state;
+            // The object and the list view to return to
+            this.objectApiName = state.c__objectApiName || DEFAULT_OBJECT_API_NAME;
+            this.returnFilter = state.c__returnFilter || DEFAULT_RETURN_FILTER;
+            // The Undo link of the success toast opens the page to undo the last mass update
+            if (state.c__undo && state.c__undo !== this.undoId) {
+                this.undoId = state.c__undo;
+                this.undoLastUpdate();
+                return;
+            }
+            // Extract record IDs passed as state parameter; long selections come as a key to resolve instead
+            const recordIds = state.c__recordIds;
+            if (state.c__selectionKey) {
+                this.loadSelection(state.c__selectionKey);
+            } else if (recordIds) {
+                // Decode and split record IDs into an array
+                this.requestedRecordIds = decodeURIComponent(recordIds)
+                    .split(",")
+                    .map((recordId) => recordId.trim())
+                    .filter((recordId) => recordId);
+            }
+            // Fields listed in c__fields win over a field set named in c__fieldSet
+            const fields = state.c__fields;
+            if (fields) {
+                this.configuredFieldApiNames = decodeURIComponent(fields)
+                    .split(",")
+                    .map((fieldApiName) => fieldApiName.trim())
+                    .filter((fieldApiName) => fieldApiName);
+            } else {
+                this.fieldSetName = state.c__fieldSet;
+            }
+        }
+    }
+
+    // Wire method to get the metadata of the edited object
+    @wire(getObjectInfo, { objectApiName: "$objectApiName" })
+    wiredObjectInfo({ data, error }) {
+        if (data) {
+            this.objectInfo = data;
+            this.warnAboutSkippedIds();
+        } else if (error) {
+            this.objectInfoFailed = true;
+            this.showToast("Error", `${this.objectApiName} details could not be loaded.`, "error");
+        }
+    }
+
+    // Wire method to get the fields of the field set, only called when c__fieldSet is given
+    @wire(getFieldSetFields, { objectApiName: "$objectApiName", fieldSetName: "$fieldSetName" })
+    wiredFieldSet({ data, error }) {
+        if (data) {
+            this.configuredFieldApiNames = data;
+        } else if (error) {
+            this.showToast("Error", error.body?.message || "The field set could not be loaded.", "error");
+        }
+    }
+
+    /**
+     * Resolves a selection that was too long for the URL and was handed over as a short-lived key
+     * @param {string} selectionKey - Key passed as c__selectionKey
+     */
+    async loadSelection(selectionKey) {
+        try {
+            this.requestedRecordIds = await getSelectedRecordIds({
+                objectApiName: this.objectApiName,
+                selectionKey
+            });
+            this.warnAboutSkippedIds();
+        } catch (error) {
+            this.showToast("Error", error?.body?.message || "The selection could not be loaded.", "error");
+        }
+    }
+
+    /**
+     * Tells the user about IDs that were left out, instead of silently editing fewer records.
+     * Runs once both the IDs and the object metadata are there, whichever arrives last.
+     */
+    warnAboutSkippedIds() {
+        if (!this.objectInfo) {
+            return;
+        }
+        const skippedCount = this.requestedRecordIds.length - this.recordIds.length;
+        if (skippedCount > 0) {
+            this.showToast(
+                "Warning",
+                `${skippedCount} of the selected IDs are not ${this.objectInfo.labelPlural} and were left out.`,
+                "warning"
+            );
+        }
+    }
+
+    /**
+     * IDs of the edited records: the requested IDs that have the shape of a record ID of the edited object.
+     * Empty until the object metadata is loaded, as the key prefix of the object comes with it.
+     * 15 character IDs are turned into 18 character ones, as the loaded records are keyed by those.
+     */
+    get recordIds() {
+        const keyPrefix = this.objectInfo?.keyPrefix;
+        if (!keyPrefix) {
+            return [];
+        }
+        return this.requestedRecordIds
+            .filter((recordId) => RECORD_ID_PATTERN.test(recordId) && recordId.startsWith(keyPrefix))
+            .map(toEighteenCharacterId);
+    }
+
+    /**
+     * True when at least one valid record is there to edit
+     */
+    get validRecordExists() {
+        return this.recordIds.length > 0;
+    }
+
+    /**
+     * True once the object metadata has loaded or failed, so the "No eligible records" message is not shown too early
+     */
+    get isResolved() {
+        return Boolean(this.objectInfo) || this.objectInfoFailed;
+    }
+
+    /**
+     * Plural label of the edited object in lower case, used in messages, e.g. "leads"
+     */
+    get recordsLabel() {
+        return this.objectInfo?.labelPlural?.toLowerCase() || "records";
+    }
+
+    /**
+     * Title of the card, e.g. "Mass Update Leads"
+     */
+    get cardTitle() {
+        return `Mass Update ${this.objectInfo?.labelPlural || ""}`.trim();
+    }
+
+    /**
+     * Icon of the card, from the standard icon of the object when it has one
+     */
+    get iconName() {
+        return `standard:${(this.objectApiName || DEFAULT_OBJECT_API_NAME).toLowerCase()}`;
+    }
+
+    /**
+     * API names of the edited fields, from c__fields, a field set or the defaults of the object
+     */
+    get fieldApiNames() {
+        return this.configuredFieldApiNames || DEFAULT_FIELDS[this.objectApiName] || FALLBACK_FIELDS;
+    }
+
+    /**
+     * Edited fields with their metadata and layout size; empty until the metadata is loaded.
+     * Fields that do not exist or cannot be edited are left out.
+     */
+    get fields() {
+        return this.fieldInfos.map((fieldInfo) => ({
+            apiName: fieldInfo.apiName,
+            required: fieldInfo.required,
+            size: WIDE_FIELD_TYPES.includes(fieldInfo.dataType) ? 12 : this.columnSize
+        }));
+    }
+
+    /**
+     * Metadata of the edited fields that exist and can be edited, matched case-insensitively like App Builder does
+     */
+    get fieldInfos() {
+        const fieldInfos = Object.values(this.objectInfo?.fields || {});
+        return this.fieldApiNames
+            .map((fieldApiName) =>
+                fieldInfos.find((fieldInfo) => fieldInfo.apiName.toLowerCase() === fieldApiName.toLowerCase())
+            )
+            .filter((fieldInfo) => fieldInfo?.updateable);
+    }
+
+    /**
+     * Width of a column on large devices, sharing the row between the fields and the messages column.
+     * One of the twelve grid columns is kept for the selection checkbox.
+     */
+    get columnSize() {
+        return Math.max(2, Math.floor(11 / (this.fieldInfos.length + 1)));
+    }
+
+    /**
+     * Rows to render, one per record, with the save error of the record if it failed
+     */
+    get rows() {
+        return this.recordIds.map((recordId) => ({
+            recordId,
+            errorMessage: this.rowErrors[recordId],
+            isSelected: this.selectedRecordIds.includes(recordId),
+            isChanged: this.changedRecordIds.includes(recordId),
+            className: this.changedRecordIds.includes(recordId)
+                ? "slds-m-around_medium record-row record-row_changed"
+                : "slds-m-around_medium record-row"
+        }));
+    }
+
+    /**
+     * IDs of the records with at least one changed field
+     */
+    get changedRecordIds() {
+        return this.recordIds.filter((recordId) => this.changedFields[recordId]?.length > 0);
+    }
+
+    /**
+     * True when some record has edits that are not saved
+     */
+    get hasUnsavedChanges() {
+        return this.changedRecordIds.length > 0;
+    }
+
+    /**
+     * Label of the save button with the number of changed records, e.g. "Save 3 changes"
+     */
+    get saveLabel() {
+        const count = this.changedRecordIds.length;
+        return count === 1 ? "Save 1 change" : `Save ${count} changes`;
+    }
+
+    /**
+     * Share of the running save that is done, saved or failed, in percent
+     */
+    get saveProgress() {
+        return this.saveTotal ? Math.round(((this.savedCount + this.failedCount) / this.saveTotal) * 100) : 0;
+    }
+
+    /**
+     * Progress of the running save, e.g. "120 of 200 leads saved, 3 failed"
+     */
+    get saveStatus() {
+        const status = `${this.savedCount} of ${this.saveTotal} ${this.recordsLabel} saved`;
+        return this.failedCount > 0 ? `${status}, ${this.failedCount} failed` : status;
+    }
+
+    /**
+     * True when the save button cannot be used: nothing changed or a save is running
+     */
+    get isSaveDisabled() {
+        return this.isSaving || !this.hasUnsavedChanges;
+    }
+
+    /**
+     * Remembers the values a record was loaded with, so edits can be detected against them
+     * @param {Event} event - Load event of the record's record-edit form
+     */
+    handleFormLoad(event) {
+        const recordId = event.target.dataset.id;
+        const fields = event.detail.records?.[recordId]?.fields || {};
+        // Fields added later, e.g. by a field set, are loaded again; values already remembered are kept
+        const originals = { ...this.originalValues[recordId] };
+        Object.keys(fields).forEach((fieldApiName) => {
+            if (!(fieldApiName in originals)) {
+                originals[fieldApiName] = fields[fieldApiName].value;
+            }
+        });
+        this.originalValues[recordId] = originals;
+    }
+
+    /**
+     * Updates the changed fields of a record after one of its fields was edited
+     * @param {Event} event - Change event of an input field
+     */
+    handleFieldChange(event) {
+        this.updateChangedFields(event.target.closest("lightning-record-edit-form"));
+    }
+
+    /**
+     * Compares the input fields of a record form with the values the record was loaded with
+     * @param {Element} form - Record-edit form of one record
+     */
+    updateChangedFields(form) {
+        const recordId = form.dataset.id;
+        const originals = this.originalValues[recordId] || {};
+        const changed = [...form.querySelectorAll("lightning-input-field")]
+            .filter((inputField) => !isSameValue(inputField.value, originals[inputField.fieldName]))
+            .map((inputField) => inputField.fieldName);
+        this.changedFields = { ...this.changedFields, [recordId]: changed };
+    }
+
+    /**
+     * True when every record is ticked
+     */
+    get allRowsSelected() {
+        return this.recordIds.length > 0 && this.selectedRecordIds.length === this.recordIds.length;
+    }
+
+    /**
+     * Label of the "Apply to" buttons, naming the records that will receive the value
+     */
+    get applyLabel() {
+        return this.selectedRecordIds.length > 0 ? `Apply to ${this.selectedRecordIds.length} selected` : "Apply to all";
+    }
+
+    /**
+     * Ticks or unticks a single record
+     * @param {Event} event - Change event of the row checkbox
+     */
+    handleRowSelect(event) {
+        const recordId = event.target.dataset.id;
+        this.selectedRecordIds = event.target.checked
+            ? [...this.selectedRecordIds, recordId]
+            : this.selectedRecordIds.filter((selectedRecordId) => selectedRecordId !== recordId);
+    }
+
+    /**
+     * Ticks or unticks every record
+     * @param {Event} event - Change event of the header checkbox
+     */
+    handleSelectAllRows(event) {
+        this.selectedRecordIds = event.target.checked ? [...this.recordIds] : [];
+    }
+
+    /**
+     * Copies the value typed in the header row into the same field of every ticked record, or of every record.
+     * The copied values are ordinary edits: they can still be changed row by row before saving.
+     * @param {Event} event - Click event of the "Apply to" button of a field
+     */
+    handleApply(event) {
+        const fieldApiName = event.target.dataset.field;
+        const value = this.template.querySelector(
+            `.apply-all-form lightning-input-field[data-field="${fieldApiName}"]`
+        ).value;
+        const targetIds = this.selectedRecordIds.length > 0 ? new Set(this.selectedRecordIds) : null;
+        this.template.querySelectorAll("lightning-record-edit-form.record-form").forEach((form) => {
+            if (!targetIds || targetIds.has(form.dataset.id)) {
+                form.querySelector(`lightning-input-field[data-field="${fieldApiName}"]`).value = value;
+                // Values set from code raise no change event, so the form is compared here
+                this.updateChangedFields(form);
+            }
+        });
+    }
+
+    /**
+     * Utility method to show toast notifications
+     * @param {string} title - Title of the toast
+     * @param {string} message - Message body of the toast
+     * @param {string} variant - Type of toast (success, error, warning)
+     * @param {string} undoUrl - URL of an Undo link added to the message, optional
+     */
+    showToast(title, message, variant, undoUrl) {
+        const evt = new ShowToastEvent({
+            title,
+            message: undoUrl ? `${message} {0}` : message,
+            messageData: undoUrl ? [{ url: undoUrl, label: "Undo" }] : undefined,
+            variant,
+            // Leave time to click Undo
+            mode: undoUrl ? "sticky" : "dismissible",
+        });
+        // Dispatch the toast event
+        this.dispatchEvent(evt);
+    }
+
+    /**
+     * Returns to the list view the user came from, after confirming when edits would be lost
+     */
+    async handleCancel() {
+        if (this.hasUnsavedChanges) {
+            const confirmed = await LightningConfirm.open({
+                message: `${this.changedRecordIds.length} ${this.recordsLabel} have unsaved changes. Leave without saving?`,
+                label: "Unsaved changes",
+                theme: "warning"
+            });
+            if (!confirmed) {
+                return;
+            }
+        }
+        this.redirectToListView();
+    }
+
+    /**
+     * Redirects user to the list view of the edited object they came from
+     */
+    redirectToListView() {
+        this[NavigationMixin.Navigate]({
+            // Standard navigation type
+            type: "standard__objectPage",
+            attributes: {
+                // Redirect to the edited object
+                objectApiName: this.objectApiName,
+                // Go to list view
+                actionName: "list",
+                state: {
+                    // Apply the filter of the list view the user came from
+                    filterName: this.returnFilter,
+                },
+            },
+        });
+    }
+
+    /**
+     * Saves the changed records and returns to the list view once every one of them is saved
+     */
+    async handleUpdateAll() {
+        if (await this.saveChanges()) {
+            // Redirect to the list view the user came from
+            this.redirectToListView();
+        }
+    }
+
+    /**
+     * Drops the unsaved edits, called by the page container when the user leaves without saving
+     */
+    @api
+    discardChanges() {
+        this.changedFields = {};
+    }
+
+    /**
+     * Saves the changed fields of the changed records in chunks, with a limited number of Apex calls at a time.
+     * Every chunk is saved as one bulk operation; progress is shown while the chunks complete.
+     * Records that fail keep their edits and show their errors on their own row.
+     * Also called by the page container when the user chooses to save before leaving.
+     * @return {Promise} - Resolves to true when every changed record was saved
+     */
+    @api
+    async saveChanges() {
+        if (!this.hasUnsavedChanges) {
+            return true;
+        }
+        // Select the record-edit forms of the changed records
+        const changedRecordIds = new Set(this.changedRecordIds);
+        const forms = [...this.template.querySelectorAll("lightning-record-edit-form.record-form")].filter((form) =>
+            changedRecordIds.has(form.dataset.id)
+        );
+        // Check every field, so all missing values are highlighted at once
+        const inputFields = forms.flatMap((form) => [...form.querySelectorAll("lightning-input-field")]);
+        const allValid = inputFields.reduce((valid, inputField) => inputField.reportValidity() && valid, true);
+        if (!allValid) {
+            return false;
+        }
+
+        // Collect the values of each form into a record
+        const records = forms.map((form) => this.readRecord(form));
+        // Snapshot the values the save overwrites, so the update can be undone
+        const previousRecords = records.map((record) => this.readPreviousRecord(record));
+        this.isSaving = true;
+        this.saveTotal = records.length;
+        this.savedCount = 0;
+        this.failedCount = 0;
+        this.savedRecords = [];
+        this.rowErrors = {};
+        await processChunks(
+            toChunks(records, Math.max(1, this.chunkSize)),
+            this.maxConcurrentChunks,
+            (chunk) => this.saveChunk(chunk)
+        );
+        this.isSaving = false;
+
+        // Only the saved records can be undone
+        const savedRecordIds = new Set(this.savedRecords.map((record) => record.Id));
+        const undoUrl = await this.storeLastUpdate(
+            previousRecords.filter((record) => savedRecordIds.has(record.Id)),
+            this.savedRecords
+        );
+        if (this.failedCount > 0) {
+            // Show a partial success toast; the errors are shown on the failed rows
+            this.showToast(
+                "Partial Success",
+                `Updated ${this.savedCount} ${this.recordsLabel}. ${this.failedCount} ${this.recordsLabel} could not be updated.`,
+                "warning",
+                undoUrl
+            );
+            return false;
+        }
+        // Show a success toast if all updates succeed
+        this.showToast("Success", `All ${this.recordsLabel} updated successfully!`, "success", undoUrl);
+        return true;
+    }
+
+    /**
+     * Saves one chunk of records and records the outcome of each of them
+     * @param {Array} records - Records of the chunk, with their Id and changed fields
+     * @return {Promise} - Resolves once the chunk is saved or has failed; never rejects
+     */
+    async saveChunk(records) {
+        let results;
+        try {
+            results = await saveRecords({ objectApiName: this.objectApiName, records });
+        } catch (error) {
+            // The whole call failed, for example because the user lost access; every record of the chunk failed
+            const message = error?.body?.message || `The ${this.recordsLabel} could not be updated.`;
+            results = records.map((record) => ({ recordId: record.Id, success: false, messages: [message] }));
+        }
+
+        const rowErrors = { ...this.rowErrors };
+        const changedFields = { ...this.changedFields };
+        const recordsById = new Map(records.map((record) => [record.Id, record]));
+        results.forEach((result) => {
+            if (result.success) {
+                this.savedRecords.push(recordsById.get(result.recordId));
+                // Saved values become the new loaded values, so the saved record is no longer changed
+                this.originalValues[result.recordId] = {
+                    ...this.originalValues[result.recordId],
+                    ...recordsById.get(result.recordId)
+                };
+                changedFields[result.recordId] = [];
+            } else {
+                rowErrors[result.recordId] = result.messages.join(", ");
+            }
+        });
+        this.rowErrors = rowErrors;
+        this.changedFields = changedFields;
+        this.savedCount += results.filter((result) => result.success).length;
+        this.failedCount += results.filter((result) => !result.success).length;
+    }
+
+    /**
+     * Builds the record as it was loaded, with the fields a save of the given record overwrites
+     * @param {Object} record - Record about to be saved, with its Id and changed fields
+     * @return {Object} - Record with its object, its Id and the loaded value of every changed field
+     */
+    readPreviousRecord(record) {
+        const originals = this.originalValues[record.Id] || {};
+        const previousRecord = { sobjectType: record.sobjectType, Id: record.Id };
+        Object.keys(record)
+            .filter((fieldApiName) => fieldApiName !== "sobjectType" && fieldApiName !== "Id")
+            .forEach((fieldApiName) => {
+                previousRecord[fieldApiName] = originals[fieldApiName] ?? null;
+            });
+        return previousRecord;
+    }
+
+    /**
+     * Keeps the last mass update in session storage and builds the link that undoes it
+     * @param {Array} previousRecords - Saved records with the values they had before the save
+     * @param {Array} updatedRecords - Saved records with the values they were saved with
+     * @return {Promise} - Resolves to the URL of the Undo link, or to null when there is nothing to undo
+     */
+    async storeLastUpdate(previousRecords, updatedRecords) {
+        if (previousRecords.length === 0) {
+            return null;
+        }
+        const undoId = Date.now().toString(36);
+        try {
+            sessionStorage.setItem(
+                UNDO_STORAGE_KEY,
+                JSON.stringify({ undoId, objectApiName: this.objectApiName, previousRecords, updatedRecords })
+            );
+        } catch (error) {
+            // Storage is full or blocked; the update is saved but cannot be undone
+            return null;
+        }
+        return this[NavigationMixin.GenerateUrl]({
+            type: "standard__component",
+            attributes: { componentName: "c__updateMultipleRecordsPage" },
+            state: {
+                c__objectApiName: this.objectApiName,
+                c__returnFilter: this.returnFilter,
+                c__undo: undoId
+            }
+        });
+    }
+
+    /**
+     * Restores the values overwritten by the last mass update, after confirming.
+     * Records changed since the update are not restored; they are reported instead.
+     */
+    async undoLastUpdate() {
+        let lastUpdate;
+        try {
+            lastUpdate = JSON.parse(sessionStorage.getItem(UNDO_STORAGE_KEY));
+        } catch (error) {
+            lastUpdate = null;
+        }
+        if (!lastUpdate || lastUpdate.undoId !== this.undoId || lastUpdate.objectApiName !== this.objectApiName) {
+            this.showToast("Error", "This mass update can no longer be undone.", "error");
+            this.redirectToListView();
+            return;
+        }
+
+        const count = lastUpdate.previousRecords.length;
+        const confirmed = await LightningConfirm.open({
+            message: `Restore the previous values of ${count} ${this.recordsLabel}?`,
+            label: "Undo mass update",
+            theme: "warning"
+        });
+        if (confirmed) {
+            this.isUndoing = true;
+            try {
+                const results = await undoUpdate({
+                    objectApiName: this.objectApiName,
+                    previousRecords: lastUpdate.previousRecords,
+                    updatedRecords: lastUpdate.updatedRecords
+                });
+                // An update is only undone once
+                sessionStorage.removeItem(UNDO_STORAGE_KEY);
+                const failedResults = results.filter((result) => !result.success);
+                if (failedResults.length > 0) {
+                    const details = failedResults
+                        .map((result) => `${result.recordId}: ${result.messages.join(", ")}`)
+                        .join("; ");
+                    this.showToast(
+                        "Partially undone",
+                        `Restored ${results.length - failedResults.length} ${this.recordsLabel}. ${failedResults.length} ${this.recordsLabel} were not restored. ${details}`,
+                        "warning"
+                    );
+                } else {
+                    this.showToast("Undone", `Restored the previous values of ${count} ${this.recordsLabel}.`, "success");
+                }
+            } catch (error) {
+                this.showToast("Error", error?.body?.message || "The mass update could not be undone.", "error");
+            } finally {
+                this.isUndoing = false;
+            }
+        }
+        this.redirectToListView();
+    }
+
+    /**
+     * Builds a record from the changed input fields of a record-edit form
+     * @param {Element} form - Record-edit form of one record
+     * @return {Object} - Record with its object, its Id and the value of every changed field of the form
+     */
+    readRecord(form) {
+        // sobjectType tells Apex which object the generic record belongs to
+        const record = { sobjectType: this.objectApiName, Id: form.dataset.id };
+        const changedFields = this.changedFields[record.Id] || [];
+        form.querySelectorAll("lightning-input-field").forEach((inputField) => {
+            if (changedFields.includes(inputField.fieldName)) {
+                record[inputField.fieldName] = inputField.value;
+            }
+        });
+        return record;
+    }
+}
\ No newline at end of file